@@ -23,8 +23,17 @@ const accessRequestRoutes = require("../routes/accessRequests");
 const dashboardRoutes = require("../routes/dashboard");
 const superAdminRoutes = require("../routes/superAdmin");
 const subAdminRoutes = require("../routes/subAdmin");
+const webhookRoutes = require("../routes/webhooks");
+const jobRoutes = require("../routes/jobs");
+const sequenceRoutes = require("../routes/sequences");
+const suppressionRoutes = require("../routes/suppressions");
+const unsubscribeRoutes = require("../routes/unsubscribe");
+const notificationRoutes = require("../routes/notifications");
+const cronRoutes = require("../routes/cron");
 
 const app = express();
+// Behind Vercel's proxy: take the client IP from X-Forwarded-For (used for lead rate limits)
+app.set('trust proxy', 1);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -84,6 +93,13 @@ app.use('/api/access-requests', accessRequestRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/super-admin', superAdminRoutes);
 app.use('/api/sub-admin', subAdminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/sequences', sequenceRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/cron', cronRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
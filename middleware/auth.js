@@ -1,16 +1,77 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { resolveUserPermissions } = require('../constants/permissions');
+const { verifyPurposeToken } = require('../utils/authTokens');
+const { isTwoFactorRequired, isTwoFactorEnabled } = require('../utils/twoFactor');
+
+function getBearerToken(req) {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+}
+
+// Resolve the user of an access token; null for invalid, revoked or purpose (2FA step) tokens
+async function getAccessTokenUser(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose) return null;
+
+  const user = await User.findById(decoded.id);
+
+  // Deleted users and tokens issued before a password/role change or rejection are refused
+  if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+  return user;
+}
 
 // Protect routes
 exports.protect = async (req, res, next) => {
-  let token;
+  const token = getBearerToken(req);
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+  // Make sure token exists
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
   }
 
-  // Make sure token exists
+  try {
+    const user = await getAccessTokenUser(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again'
+      });
+    }
+
+    // Roles that must use 2FA can only enroll until they have done so
+    if (isTwoFactorRequired(user) && !isTwoFactorEnabled(user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be set up for your account'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// For 2FA enrollment: accepts an access token, or the setup token login hands out when the
+// policy requires 2FA and the user has not set it up yet
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  const token = getBearerToken(req);
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -19,10 +80,57 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = (await getAccessTokenUser(token)) || (await verifyPurposeToken(token, '2fa_setup'));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// For endpoints opened with EventSource, which cannot send headers: accepts an access token in
+// the Authorization header, or a stream token (POST /api/dashboard/stream-token) as `?token=`.
+// Access tokens are never read from the URL.
+exports.protectStream = async (req, res, next) => {
+  const headerToken = getBearerToken(req);
+  const queryToken = typeof req.query.token === 'string' ? req.query.token : null;
+  if (!headerToken && !queryToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  try {
+    const user = headerToken
+      ? await getAccessTokenUser(headerToken)
+      : await verifyPurposeToken(queryToken, 'lead_stream');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again'
+      });
+    }
+
+    if (isTwoFactorRequired(user) && !isTwoFactorEnabled(user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be set up for your account'
+      });
+    }
 
-    req.user = await User.findById(decoded.id);
+    req.user = user;
     next();
   } catch (err) {
     return res.status(401).json({
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Background job (outbox entry) processed by utils/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. lead.auto_reply.email
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // pending = waiting to run (or retry); dead = gave up after maxAttempts
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending'
+  },
+  // Lead the job belongs to, for inspection
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may run
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A processing job whose lock has expired (e.g. the function froze mid-run) is picked up again
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    attempt: {
+      type: Number
+    },
+    error: {
+      type: String
+    },
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  },
+  deadAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, status: 1, createdAt: -1 });
+jobSchema.index({ lead: 1 });
+// Completed jobs are removed after 30 days; dead jobs stay until re-run or deleted
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -43,6 +43,79 @@ const formFieldSchema = new mongoose.Schema({
   }
 });
 
+// Schema for lead pipeline stages (Lead.status holds the stage key)
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z0-9_]+$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Terminal stages; both count as closed in analytics
+  isWon: {
+    type: Boolean,
+    default: false
+  },
+  isLost: {
+    type: Boolean,
+    default: false
+  },
+  // Stage keys a lead may move to from this stage (empty = any stage)
+  allowedNext: [{
+    type: String,
+    trim: true
+  }],
+  // Lead fields (or dynamic field names) that must have a value to enter this stage
+  requiredFields: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+// Schema for lead scoring rules (see utils/leadScoring.js)
+const scoringRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['field_value', 'email_domain', 'device_type', 'source', 'geo', 'completeness']
+  },
+  // field_value: lead field (e.g. company) or dynamic field name
+  field: {
+    type: String,
+    trim: true
+  },
+  // field_value comparison
+  operator: {
+    type: String,
+    enum: ['equals', 'not_equals', 'contains', 'in', 'exists', 'gte', 'lte']
+  },
+  // Value or list of values to match; email_domain takes free/business/disposable
+  value: mongoose.Schema.Types.Mixed,
+  // Added when the rule matches (negative subtracts); completeness scales it by the share filled in
+  points: {
+    type: Number,
+    required: true
+  },
+  // Shown in the lead's score breakdown
+  label: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const landingPageSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -85,6 +158,82 @@ const landingPageSchema = new mongoose.Schema({
     company: { type: Boolean, default: false },
     message: { type: Boolean, default: false }
   },
+  // How submitted fields that are not declared on the form are handled:
+  // strict = reject the submission, store_unknown = keep in dynamicFields,
+  // quarantine = keep in the lead's quarantinedFields for admin review
+  unknownFieldPolicy: {
+    type: String,
+    enum: ['strict', 'store_unknown', 'quarantine'],
+    default: 'store_unknown'
+  },
+  // Anti-spam settings for public submissions (see utils/spamProtection.js)
+  spamProtection: {
+    // Hidden input name; any value submitted in it marks the lead as spam
+    honeypotField: { type: String, trim: true },
+    // Minimum seconds between issuing a form token and submitting (0 = no token required)
+    minSubmitSeconds: { type: Number, default: 0, min: 0 },
+    // Hourly submission limits (0 = unlimited)
+    maxPerIpPerHour: { type: Number, default: 20, min: 0 },
+    maxPerTrackingKeyPerHour: { type: Number, default: 1000, min: 0 },
+    // Leads scoring at or above this are flagged isSpam
+    spamThreshold: { type: Number, default: 50, min: 1 }
+  },
+  // Duplicate detection on intake (see utils/leadDuplicates.js)
+  duplicateDetection: {
+    enabled: { type: Boolean, default: true },
+    // Only leads created within this many days are compared (0 = no limit)
+    windowDays: { type: Number, default: 30, min: 0 },
+    matchKeys: {
+      type: [{ type: String, enum: ['email', 'phone', 'customField'] }],
+      default: ['email', 'phone']
+    },
+    // dynamicFields key compared when matchKeys includes customField
+    customField: { type: String, trim: true }
+  },
+  // Ordered lead stages; empty = the default new/contacted/qualified/converted/lost pipeline
+  pipelineStages: [pipelineStageSchema],
+  // Automatic distribution of new leads to sub-admins (see utils/leadAssignment.js)
+  assignment: {
+    mode: {
+      type: String,
+      enum: ['manual', 'round_robin', 'weighted', 'least_loaded'],
+      default: 'manual'
+    },
+    // Turns per cycle in weighted mode (sub-admins not listed get 1, 0 excludes)
+    weights: [{
+      _id: false,
+      subAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      weight: { type: Number, min: 0, default: 1 }
+    }],
+    // Position in the round-robin/weighted cycle
+    cursor: { type: Number, default: 0 }
+  },
+  // WhatsApp auto-reply opt-in (see utils/leadAutoReply.js)
+  whatsappAutoReply: {
+    enabled: { type: Boolean, default: false },
+    // Form field the visitor ticks to agree to WhatsApp messages; leads without it are not messaged
+    consentField: { type: String, trim: true, default: 'whatsappConsent' },
+    // Digits only (e.g. 91); prefixed to 10-digit local numbers. Falls back to LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE
+    defaultCountryCode: { type: String, trim: true, match: [/^\d{1,4}$/, 'Country code must be 1-4 digits'] }
+  },
+  // Rule-based lead scoring; leads at or above a threshold are hot/warm, the rest cold
+  leadScoring: {
+    enabled: { type: Boolean, default: false },
+    hotThreshold: { type: Number, default: 70, min: 0, max: 100 },
+    warmThreshold: { type: Number, default: 40, min: 0, max: 100 },
+    rules: [scoringRuleSchema]
+  },
+  // Auto-reply content with {{placeholders}}; empty parts use the defaults (see utils/autoReplyTemplates.js)
+  autoReplyTemplates: {
+    email: {
+      subject: { type: String, trim: true, maxlength: [200, 'Subject cannot be more than 200 characters'] },
+      html: { type: String, maxlength: [50000, 'HTML template cannot be more than 50000 characters'] },
+      text: { type: String, maxlength: [20000, 'Text template cannot be more than 20000 characters'] }
+    },
+    whatsapp: {
+      body: { type: String, maxlength: [1600, 'WhatsApp template cannot be more than 1600 characters'] }
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
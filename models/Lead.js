@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Digits-only phone reduced to its last 10 digits so local and international formats match
+function normalizePhone(phone) {
+  if (!phone) return undefined;
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.length < 7) return undefined;
+  return digits.slice(-10);
+}
+
 const leadSchema = new mongoose.Schema({
   // Default fields (can be toggled per landing page)
   firstName: {
@@ -21,6 +29,10 @@ const leadSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Derived from phone for duplicate detection
+  normalizedPhone: {
+    type: String
+  },
   company: {
     type: String,
     trim: true
@@ -35,18 +47,83 @@ const leadSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  // Undeclared fields held back by the landing page's quarantine intake policy
+  quarantinedFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: new Map()
+  },
+  // Duplicate detection: the earlier (primary) lead this one duplicates
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  // Duplicates folded into this lead, with a snapshot of each as it was before merging
+  mergeHistory: [{
+    lead: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    snapshot: mongoose.Schema.Types.Mixed
+  }],
   // Landing page reference
   landingPage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'LandingPage',
     required: true
   },
-  // Lead tracking
+  // Lead tracking: key of a stage in the landing page's pipeline (see utils/pipeline.js)
   status: {
     type: String,
-    enum: ['new', 'contacted', 'qualified', 'converted', 'lost'],
+    trim: true,
     default: 'new'
   },
+  // When the status last changed (set automatically; dates won revenue)
+  statusChangedAt: {
+    type: Date
+  },
+  // Deal tracking for revenue analytics
+  dealValue: {
+    type: Number,
+    min: [0, 'Deal value cannot be negative']
+  },
+  // ISO 4217 code; leads without one use DEFAULT_CURRENCY in analytics
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  expectedCloseDate: {
+    type: Date
+  },
+  // Chance of winning the deal, in percent
+  probability: {
+    type: Number,
+    min: [0, 'Probability must be between 0 and 100'],
+    max: [100, 'Probability must be between 0 and 100']
+  },
+  // Why the lead was lost (required by stages that list it in requiredFields)
+  lostReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Lost reason cannot be more than 500 characters']
+  },
+  // Sub-admin who owns the lead (set by the landing page's distribution mode or manually)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
   geoLocation: {  // Change this field to store a human-readable address
     type: String,  // Store address as a string
     default: "Unknown location"
@@ -58,6 +135,32 @@ const leadSchema = new mongoose.Schema({
   lastContacted: {
     type: Date
   },
+  // Set when the lead unsubscribes from marketing emails; drip sequences stop
+  unsubscribedAt: {
+    type: Date
+  },
+  // Explicit opt-in to WhatsApp messages, from the landing page's consent field
+  whatsappConsent: {
+    type: Boolean,
+    default: false
+  },
+  whatsappConsentAt: {
+    type: Date
+  },
+  // Outcome of the WhatsApp auto-reply (see utils/leadAutoReply.js); unset when the page has it off
+  whatsappAutoReply: {
+    // queued/retrying = in the job queue; sent = accepted by Twilio; delivered/read/undelivered/failed
+    // follow Twilio status callbacks; skipped = not sent (see reason)
+    status: {
+      type: String,
+      enum: ['queued', 'retrying', 'sent', 'delivered', 'read', 'undelivered', 'failed', 'skipped']
+    },
+    reason: { type: String },
+    // Normalized E.164 number the message went to
+    to: { type: String },
+    messageSid: { type: String },
+    updatedAt: { type: Date }
+  },
   source: {
     type: String,
     default: 'landing_page'
@@ -65,9 +168,36 @@ const leadSchema = new mongoose.Schema({
   ipAddress: {
     type: String
   },
+  // Anti-spam result from intake; spam leads are hidden from lead lists by default
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  isSpam: {
+    type: Boolean,
+    default: false
+  },
+  spamReasons: [String],
   userAgent: {
     type: String
   },
+  // Lead score (0-100) from the landing page's scoring rules (see utils/leadScoring.js); unset when scoring is off
+  score: {
+    type: Number
+  },
+  scoreBucket: {
+    type: String,
+    enum: ['hot', 'warm', 'cold']
+  },
+  // Rules that matched and the points each gave
+  scoreBreakdown: [{
+    _id: false,
+    rule: String,
+    points: Number
+  }],
+  scoredAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -81,13 +211,46 @@ const leadSchema = new mongoose.Schema({
 // Update timestamp on save
 leadSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isModified('phone')) {
+    this.normalizedPhone = normalizePhone(this.phone);
+  }
+  if (this.isNew || this.isModified('status')) {
+    this.statusChangedAt = this.updatedAt;
+  }
   next();
 });
 
+// Keep normalizedPhone and statusChangedAt in sync for findByIdAndUpdate/findOneAndUpdate
+leadSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const valueOf = (field) => (update.$set && field in update.$set ? update.$set[field] : update[field]);
+
+  const phone = valueOf('phone');
+  if (phone !== undefined) {
+    this.set('normalizedPhone', normalizePhone(phone));
+  }
+
+  const status = valueOf('status');
+  if (status !== undefined) {
+    const current = await this.model.findOne(this.getQuery()).select('status');
+    if (current && current.status !== status) {
+      this.set('statusChangedAt', Date.now());
+    }
+  }
+});
+
 // Index for better query performance
 leadSchema.index({ landingPage: 1, createdAt: -1 });
+leadSchema.index({ 'whatsappAutoReply.messageSid': 1 }, { sparse: true });
 leadSchema.index({ email: 1 });
 leadSchema.index({ status: 1 });
+leadSchema.index({ isSpam: 1 });
+leadSchema.index({ landingPage: 1, normalizedPhone: 1 });
+leadSchema.index({ duplicateOf: 1 });
+leadSchema.index({ landingPage: 1, assignedTo: 1, status: 1 });
+leadSchema.index({ landingPage: 1, status: 1, statusChangedAt: -1 });
+leadSchema.index({ landingPage: 1, score: -1 });
+leadSchema.index({ scoreBucket: 1 });
 
 // Virtual for getting all form data (default + dynamic)
 leadSchema.virtual('allFormData').get(function() {
@@ -114,4 +277,6 @@ leadSchema.virtual('allFormData').get(function() {
 leadSchema.set('toJSON', { virtuals: true });
 leadSchema.set('toObject', { virtuals: true });
 
+leadSchema.statics.normalizePhone = normalizePhone;
+
 module.exports = mongoose.model('Lead', leadSchema); 
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const leadActivitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage',
+    required: true
+  },
+  // note/call/email are logged by admins; the rest are written automatically
+  type: {
+    type: String,
+    enum: ['note', 'call', 'email', 'status_change', 'update', 'import', 'merge', 'task'],
+    required: true
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Content cannot be more than 5000 characters']
+  },
+  // Field-level changes for automatic entries
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Extra details, e.g. call outcome/duration or email subject
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadActivitySchema.index({ lead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LeadActivity', leadActivitySchema);
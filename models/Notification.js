@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// In-app notification for one user (see utils/notifications.js)
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'access_request.submitted',
+      'access_request.approved',
+      'access_request.rejected',
+      'account.approved',
+      'lead.assigned',
+      'task.due'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  },
+  // What the notification is about, for links in the UI
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  accessRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccessRequest'
+  },
+  // User whose action caused it, if any
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Notifications are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token (see utils/authTokens.js). Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Tokens rotated from the same login share a family; reusing a rotated token revokes the family
+  family: {
+    type: String,
+    required: true
+  },
+  // User.tokenVersion when issued; the token stops working when the version is bumped
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // rotated, logout, reuse_detected
+  revokedReason: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const sequenceStepSchema = new mongoose.Schema({
+  // Wait after the previous step (or after intake, for the first step)
+  delayMinutes: {
+    type: Number,
+    required: [true, 'Please provide a step delay'],
+    min: [0, 'Delay cannot be negative'],
+    max: [525600, 'Delay cannot be more than a year']
+  },
+  // Email content with {{placeholders}} (see utils/autoReplyTemplates.js)
+  subject: {
+    type: String,
+    required: [true, 'Please provide a step subject'],
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'Please provide a step HTML body'],
+    maxlength: [50000, 'HTML template cannot be more than 50000 characters']
+  },
+  text: {
+    type: String,
+    maxlength: [20000, 'Text template cannot be more than 20000 characters']
+  }
+}, { _id: false });
+
+// Drip email sequence run for each new lead of a landing page (see utils/sequences.js)
+const sequenceSchema = new mongoose.Schema({
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a sequence name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Inactive sequences enroll no new leads and stop sending to enrolled ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  steps: {
+    type: [sequenceStepSchema],
+    validate: {
+      validator: (steps) => steps.length >= 1 && steps.length <= 20,
+      message: 'A sequence needs between 1 and 20 steps'
+    }
+  },
+  // Unsubscribed leads always stop; these stop a lead's sequence on top of that
+  stopConditions: {
+    // Status moved past the page's initial stage (e.g. `new`)
+    statusChange: { type: Boolean, default: true },
+    // Status is one of these stage keys
+    statuses: { type: [String], default: [] }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sequenceSchema.index({ landingPage: 1, isActive: 1 });
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
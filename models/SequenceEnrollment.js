@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const enrollmentStepSchema = new mongoose.Schema({
+  // Index into the sequence's steps
+  step: {
+    type: Number,
+    required: true
+  },
+  scheduledAt: {
+    type: Date
+  },
+  // pending = waiting for its send time; sending = claimed by a step job; cancelled = the sequence stopped first
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'skipped', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  subject: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }
+}, { _id: false });
+
+// A lead's progress through a drip sequence (see utils/sequences.js)
+const sequenceEnrollmentSchema = new mongoose.Schema({
+  sequence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sequence',
+    required: true
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'stopped'],
+    default: 'active'
+  },
+  stopReason: {
+    type: String
+  },
+  stoppedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  steps: [enrollmentStepSchema]
+}, {
+  timestamps: true
+});
+
+sequenceEnrollmentSchema.index({ lead: 1, sequence: 1 }, { unique: true });
+sequenceEnrollmentSchema.index({ sequence: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SequenceEnrollment', sequenceEnrollmentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Email address or phone number that no outbound message may be sent to (see utils/suppression.js)
+const suppressionSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // Lower-cased email or E.164 phone number
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // unsubscribed = the recipient used an unsubscribe link; manual = added by an admin
+  reason: {
+    type: String,
+    enum: ['unsubscribed', 'manual'],
+    default: 'manual'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  // Lead the unsubscribe link was sent to, if any
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+suppressionSchema.index({ channel: 1, value: 1 }, { unique: true });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const taskSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Copied from the lead so tasks can be scoped by landing page access
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a task title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Please provide a due date']
+  },
+  // When the reminder email goes out (defaults to dueAt)
+  remindAt: {
+    type: Date
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reminder sweep bookkeeping (see utils/taskReminders.js)
+  reminderSentAt: {
+    type: Date
+  },
+  reminderAttempts: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+taskSchema.pre('save', function(next) {
+  if (!this.remindAt) {
+    this.remindAt = this.dueAt;
+  }
+  // A new due or reminder time gets a new reminder
+  if (!this.isNew && (this.isModified('dueAt') || this.isModified('remindAt'))) {
+    this.reminderSentAt = undefined;
+    this.reminderAttempts = 0;
+  }
+  next();
+});
+
+taskSchema.index({ lead: 1, dueAt: 1 });
+taskSchema.index({ assignedTo: 1, status: 1, dueAt: 1 });
+taskSchema.index({ landingPage: 1, status: 1, dueAt: 1 });
+taskSchema.index({ status: 1, reminderSentAt: 1, remindAt: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Nonce of a form token that has been submitted once (see utils/spamProtection.js)
+const usedFormTokenSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // When the token would have expired anyway; the record is not needed after that
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove records of expired tokens
+usedFormTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedFormToken', usedFormTokenSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { getDefaultPermissions, normalizePermissions } = require('../constants/permissions');
 
 const userSchema = new mongoose.Schema({
@@ -59,6 +60,106 @@ const userSchema = new mongoose.Schema({
   approvedAt: {
     type: Date
   },
+  // Set once the user opens the emailed verification link; cleared when the email changes
+  emailVerifiedAt: {
+    type: Date
+  },
+  // SHA-256 of the emailed verification token; cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the emailed password reset token; cleared once used
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication (see utils/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being set up, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so each code works once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Bumped on password change, role change, rejection and 2FA enrollment; tokens issued before no longer work
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Login lockout (see utils/loginSecurity.js): failed attempts since the last lock or login,
+  // locks since the last successful login (each one doubles the cooldown) and the lock's end
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Latest successful sign-ins, newest first
+  recentLogins: {
+    type: [{
+      _id: false,
+      ip: String,
+      userAgent: String,
+      at: Date
+    }],
+    select: false
+  },
+  // New-lead emails for sub admins (see utils/leadNotifications.js)
+  notificationPreferences: {
+    newLeadEmail: {
+      type: Boolean,
+      default: true
+    },
+    // instant = one email per lead; hourly/daily = one digest email per period
+    newLeadFrequency: {
+      type: String,
+      enum: ['instant', 'hourly', 'daily'],
+      default: 'instant'
+    },
+    // End of the period covered by the last digest
+    lastDigestAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -72,12 +173,50 @@ const userSchema = new mongoose.Schema({
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Revoke existing sessions when the password or role changes, the user is rejected or turns on 2FA
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (
+    this.isModified('password') ||
+    this.isModified('role') ||
+    (this.isModified('status') && this.status === 'rejected') ||
+    (this.isModified('twoFactor.enabled') && this.twoFactor.enabled)
+  )) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
+// Same for findByIdAndUpdate/findOneAndUpdate
+userSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const valueOf = (field) => (update.$set && field in update.$set ? update.$set[field] : update[field]);
+
+  const role = valueOf('role');
+  const status = valueOf('status');
+  if (role === undefined && status !== 'rejected') return;
+
+  const current = await this.model.findOne(this.getQuery()).select('role status');
+  if (current && ((role !== undefined && role !== current.role) || (status === 'rejected' && current.status !== 'rejected'))) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, tokenVersion: 1 } });
+  }
+});
+
+// A new email address has not been verified yet, and links sent to the old one no longer apply
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email') && !this.isModified('emailVerifiedAt')) {
+    this.emailVerifiedAt = undefined;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpire = undefined;
+  }
+  next();
+});
+
 // Normalize permissions. If an explicit empty array is stored, keep it (minimal access).
 // If missing/invalid and empty after normalize, fall back to role defaults.
 userSchema.pre('save', function(next) {
@@ -94,13 +233,35 @@ userSchema.pre('save', function(next) {
   next();
 });
 
-// Sign JWT and return
+// Sign a short-lived access token and return it (renewed with a refresh token, see utils/authTokens.js)
 userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+  return jwt.sign({ id: this._id, role: this.role, tv: this.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Generate a single-use password reset token; only its hash is stored (save the user afterwards)
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const minutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored (save the user afterwards)
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const hours = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 48;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Outbound webhook subscription (see utils/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a webhook name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide a webhook URL'],
+    trim: true
+  },
+  // Events this endpoint receives, e.g. lead.created
+  events: {
+    type: [String],
+    required: true
+  },
+  // Only leads of this landing page; empty = all landing pages
+  landingPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandingPage'
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1, landingPage: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
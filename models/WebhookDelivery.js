@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt made (the delivery log)
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body sent on every attempt
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending = waiting for its next attempt; failed = gave up after the last retry
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  history: [{
+    attemptedAt: {
+      type: Date
+    },
+    responseStatus: {
+      type: Number
+    },
+    responseBody: {
+      type: String
+    },
+    error: {
+      type: String
+    },
+    durationMs: {
+      type: Number
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
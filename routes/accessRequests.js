@@ -6,6 +6,7 @@ const LandingPage = require('../models/LandingPage');
 const AdminAccess = require('../models/AdminAccess');
 const { protect, authorize } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
+const { notifyAccessRequestSubmitted, notifyAccessRequestDecision } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -62,6 +63,7 @@ router.post('/', [
     message
   });
 
+  await notifyAccessRequestSubmitted(accessRequest, req.user, landingPage);
   await accessRequest.populate('landingPage', 'name url');
 
   res.status(201).json({
@@ -196,6 +198,7 @@ router.put('/:id/approve', [
     grantedBy: req.user.id
   });
 
+  await notifyAccessRequestDecision(accessRequest, landingPage, req.user.id);
   await accessRequest.populate('subAdmin', 'name email companyName');
   await accessRequest.populate('landingPage', 'name url');
 
@@ -247,6 +250,7 @@ router.put('/:id/reject', [
 
   await accessRequest.populate('subAdmin', 'name email companyName');
   await accessRequest.populate('landingPage', 'name url');
+  await notifyAccessRequestDecision(accessRequest, accessRequest.landingPage, req.user.id);
 
   res.status(200).json({
     success: true,
@@ -5,6 +5,9 @@ const LandingPage = require('../models/LandingPage');
 const AdminAccess = require('../models/AdminAccess');
 const { protect, authorize, checkApproval } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
+const { releaseInaccessibleAssignments } = require('../utils/leadAssignment');
+const { notifySubAdminApproved } = require('../utils/notifications');
+const { isEmailVerified, isVerificationRequiredForApproval, getApprovalBlocker } = require('../utils/emailVerification');
 
 const router = express.Router();
 
@@ -12,19 +15,31 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize('super_admin'));
 
-// @desc    Get all pending sub admin requests
+// @desc    Get all pending sub admin requests, with whether each email is verified
+//          (?emailVerified=true|false to filter)
 // @route   GET /api/admin/pending-requests
 // @access  Private (Super Admin only)
 router.get('/pending-requests', asyncHandler(async (req, res) => {
-  const pendingUsers = await User.find({ 
-    role: 'sub_admin', 
-    status: 'pending' 
-  }).select('-password');
+  const query = {
+    role: 'sub_admin',
+    status: 'pending'
+  };
+  if (req.query.emailVerified === 'true') {
+    query.emailVerifiedAt = { $ne: null };
+  } else if (req.query.emailVerified === 'false') {
+    query.emailVerifiedAt = null;
+  }
+
+  const pendingUsers = await User.find(query).select('-password');
 
   res.status(200).json({
     success: true,
     count: pendingUsers.length,
-    data: pendingUsers
+    emailVerificationRequired: isVerificationRequiredForApproval(),
+    data: pendingUsers.map((user) => ({
+      ...user.toObject(),
+      emailVerified: isEmailVerified(user)
+    }))
   });
 }));
 
@@ -55,11 +70,21 @@ router.put('/approve-user/:id', asyncHandler(async (req, res) => {
     });
   }
 
+  const blocker = getApprovalBlocker(user);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker
+    });
+  }
+
   user.status = 'approved';
   user.approvedBy = req.user.id;
   user.approvedAt = Date.now();
   await user.save();
 
+  await notifySubAdminApproved(user, req.user.id);
+
   res.status(200).json({
     success: true,
     message: 'User approved successfully',
@@ -271,6 +296,8 @@ router.put('/revoke-access/:id', asyncHandler(async (req, res) => {
   adminAccess.revokedBy = req.user.id;
   await adminAccess.save();
 
+  await releaseInaccessibleAssignments(adminAccess.subAdmin);
+
   res.status(200).json({
     success: true,
     message: 'Access revoked successfully',
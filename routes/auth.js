@@ -1,12 +1,131 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, protectTwoFactorSetup } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const { resolveUserPermissions } = require('../constants/permissions');
+const {
+  issueAuthTokens,
+  createPurposeToken,
+  verifyPurposeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+} = require('../utils/authTokens');
+const { sendPasswordResetEmail, getTransporter } = require('../utils/email');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  isTwoFactorEnabled
+} = require('../utils/twoFactor');
+const {
+  getIpLockoutSeconds,
+  getUserLockoutSeconds,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearUserLockout
+} = require('../utils/loginSecurity');
+const { isEmailVerified, sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
 
 const router = express.Router();
 
+const HOUR_MS = 60 * 60 * 1000;
+// Password reset emails allowed per hour, per email address and per IP
+const RESET_REQUESTS_PER_EMAIL = 3;
+const RESET_REQUESTS_PER_IP = 20;
+// Verification email resends allowed per hour, per email address and per IP
+const VERIFICATION_REQUESTS_PER_EMAIL = 3;
+const VERIFICATION_REQUESTS_PER_IP = 20;
+// Two-factor code attempts allowed per user per window
+const TWO_FACTOR_ATTEMPTS = 10;
+const TWO_FACTOR_WINDOW_MS = 15 * 60 * 1000;
+// Lifetime of the tokens that bridge the password step and the 2FA step
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+const TWO_FACTOR_SETUP_EXPIRE = '15m';
+
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    companyName: user.companyName,
+    permissions: resolveUserPermissions(user)
+  };
+}
+
+function sendTooManyAttempts(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message
+  });
+}
+
+// Count a request against hourly limits; returns the seconds to wait when one is exceeded, else 0
+async function limitHourlyRequests(limits) {
+  const store = getRateLimitStore();
+  for (const { key, max } of limits) {
+    const { count, resetAt } = await store.increment(key, HOUR_MS);
+    if (count > max) {
+      return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    }
+  }
+  return 0;
+}
+
+// Count a 2FA attempt; returns the seconds to wait when the user is over the limit, else 0
+async function limitTwoFactorAttempts(userId) {
+  const { count, resetAt } = await getRateLimitStore().increment(`2fa:${userId}`, TWO_FACTOR_WINDOW_MS);
+  if (count > TWO_FACTOR_ATTEMPTS) {
+    return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  }
+  return 0;
+}
+
+// Check an authenticator code or a recovery code. Each code is only accepted once: the TOTP step is
+// recorded and recovery codes are removed, both atomically so concurrent requests cannot reuse them.
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (code) {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    const secret = user && user.twoFactor.enabled && decryptSecret(user.twoFactor.secret);
+    if (!secret) return false;
+
+    const lastUsedStep = user.twoFactor.lastUsedStep;
+    const step = verifyTotp(secret, code, { afterStep: lastUsedStep == null ? -1 : lastUsedStep });
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+}
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -47,13 +166,21 @@ router.post('/register', [
     status: 'pending'
   });
 
-  // Create token
-  const token = user.getSignedJwtToken();
+  // Ask the user to confirm the address, so the super admin knows it is real before approving
+  const emailVerificationSent = await sendVerificationEmail(user);
+
+  // Create access and refresh tokens
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
 
   res.status(201).json({
     success: true,
-    message: 'Registration successful. Waiting for super admin approval.',
+    message: emailVerificationSent
+      ? 'Registration successful. Please verify your email address; then wait for super admin approval.'
+      : 'Registration successful. Waiting for super admin approval.',
     token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    emailVerificationSent,
     user: {
       id: user._id,
       name: user.name,
@@ -62,6 +189,7 @@ router.post('/register', [
       status: user.status,
       companyName: user.companyName,
       phone: user.phone,
+      emailVerified: isEmailVerified(user),
       permissions: resolveUserPermissions(user)
     }
   });
@@ -84,18 +212,30 @@ router.post('/login', [
 
   const { email, password } = req.body;
 
+  const ipLockout = await getIpLockoutSeconds(req.ip);
+  if (ipLockout) {
+    return sendTooManyAttempts(res, ipLockout, 'Too many failed login attempts. Please try again later.');
+  }
+
   // Check for user
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findOne({ email }).select('+password +lockUntil');
   if (!user) {
+    await recordLoginFailure({ ip: req.ip });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
+  const userLockout = getUserLockoutSeconds(user);
+  if (userLockout) {
+    return sendTooManyAttempts(res, userLockout, 'Account is temporarily locked after too many failed login attempts.');
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
   if (!isMatch) {
+    await recordLoginFailure({ user, ip: req.ip });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
@@ -110,30 +250,559 @@ router.post('/login', [
     });
   }
 
-  // Create token
-  const token = user.getSignedJwtToken();
+  // With 2FA the password only earns a short-lived challenge token for POST /login/2fa
+  if (isTwoFactorEnabled(user)) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      message: 'Enter the code from your authenticator app or a recovery code',
+      challengeToken: createPurposeToken(user, '2fa_login', TWO_FACTOR_CHALLENGE_EXPIRE)
+    });
+  }
+
+  // Roles that must use 2FA get a setup token for the /2fa/setup and /2fa/enable endpoints only
+  if (isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      message: 'Two-factor authentication must be set up before you can log in',
+      setupToken: createPurposeToken(user, '2fa_setup', TWO_FACTOR_SETUP_EXPIRE)
+    });
+  }
+
+  // Create access and refresh tokens
+  await recordLoginSuccess(user, req);
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     token,
-    user: {
-      id: user._id,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: toAuthUser(user)
+  });
+}));
+
+// @desc    Second login step: exchange the challenge token and a 2FA code for tokens
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom((value) => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('Provide an authenticator code or a recovery code')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const user = await verifyPurposeToken(req.body.challengeToken, '2fa_login');
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login challenge has expired. Please log in again'
+    });
+  }
+
+  // A lock set after the challenge was issued (e.g. by failed codes) applies here too
+  const locked = await User.findById(user._id).select('+lockUntil');
+  const userLockout = getUserLockoutSeconds(locked);
+  if (userLockout) {
+    return sendTooManyAttempts(res, userLockout, 'Account is temporarily locked after too many failed login attempts.');
+  }
+
+  const retryAfter = await limitTwoFactorAttempts(user._id);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many two-factor attempts. Please try again later.');
+  }
+
+  if (!(await verifySecondFactor(user._id, req.body))) {
+    await recordLoginFailure({ user, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  // Create access and refresh tokens
+  await recordLoginSuccess(user, req);
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: toAuthUser(user)
+  });
+}));
+
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await rotateRefreshToken(req.body.refreshToken, req);
+  if (result.error) {
+    return res.status(401).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    ...result.tokens
+  });
+}));
+
+// @desc    Log out: revoke the refresh token (allDevices also ends every other session)
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be true or false').toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const record = await revokeRefreshToken(req.body.refreshToken);
+  if (record && req.body.allDevices) {
+    await revokeUserSessions(record.user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.body.allDevices && record ? 'Logged out of all devices' : 'Logged out successfully'
+  });
+}));
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!getTransporter()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Password reset by email is not available. Please contact an administrator.'
+    });
+  }
+
+  const { email } = req.body;
+  const retryAfter = await limitHourlyRequests([
+    { key: `password-reset:email:${email}`, max: RESET_REQUESTS_PER_EMAIL },
+    { key: `password-reset:ip:${req.ip}`, max: RESET_REQUESTS_PER_IP }
+  ]);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many password reset requests. Please try again later.');
+  }
+
+  // Same answer whether or not the account exists, so emails cannot be probed
+  const message = 'If an account exists for this email, a password reset link has been sent.';
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    return res.status(200).json({ success: true, message });
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendPasswordResetEmail({
+      to: user.email,
       name: user.name,
+      resetToken,
+      expiresAt: user.resetPasswordExpire
+    });
+  } catch (err) {
+    console.error('[Auth] Failed to send password reset email:', err.message || err);
+    await User.updateOne({ _id: user._id }, { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } });
+    return res.status(500).json({
+      success: false,
+      message: 'Password reset email could not be sent. Please try again later.'
+    });
+  }
+
+  res.status(200).json({ success: true, message });
+}));
+
+// @desc    Set a new password with a reset token; ends every existing session
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+router.post('/reset-password', [
+  body('token').isString().trim().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  // Claim the token so it can only be used once
+  const tokenHash = crypto.createHash('sha256').update(req.body.token).digest('hex');
+  const claimed = await User.findOneAndUpdate(
+    { resetPasswordToken: tokenHash, resetPasswordExpire: { $gt: new Date() } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+  );
+  if (!claimed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired reset token'
+    });
+  }
+
+  // Saving a new password bumps tokenVersion; refresh tokens are revoked as well
+  const user = await User.findById(claimed._id).select('+password');
+  user.password = req.body.password;
+  await user.save();
+  await revokeUserSessions(user._id);
+  // Whoever reset the password owns the account, so an earlier lockout no longer applies
+  await clearUserLockout(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+}));
+
+// @desc    Get my two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: isTwoFactorEnabled(user),
+      enabledAt: user.twoFactor.enabledAt || null,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: isTwoFactorEnabled(user) ? (user.twoFactor.recoveryCodes || []).length : 0
+    }
+  });
+}));
+
+// @desc    Start 2FA enrollment: create a secret to add to an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (access token or setup token)
+router.post('/2fa/setup', protectTwoFactorSetup, asyncHandler(async (req, res) => {
+  if (isTwoFactorEnabled(req.user)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Add the secret to your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl(req.user.email, secret)
+    }
+  });
+}));
+
+// @desc    Finish 2FA enrollment with a code from the app; returns recovery codes (shown once)
+//          and new tokens, as enabling 2FA ends every other session
+// @route   POST /api/auth/2fa/enable
+// @access  Private (access token or setup token)
+router.post('/2fa/enable', protectTwoFactorSetup, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+  if (isTwoFactorEnabled(user)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  if (!secret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup first'
+    });
+  }
+
+  const retryAfter = await limitTwoFactorAttempts(user._id);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many two-factor attempts. Please try again later.');
+  }
+
+  const step = verifyTotp(secret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+  // Enabling 2FA bumps tokenVersion, which ends every session that only used a password
+  await user.save({ validateBeforeSave: false });
+
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    data: {
+      recoveryCodes: codes
+    }
+  });
+}));
+
+// @desc    Turn off 2FA (not allowed for roles the policy requires it for)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password').exists().withMessage('Please provide your password'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom((value) => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('Provide an authenticator code or a recovery code')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isTwoFactorEnabled(req.user)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+  if (isTwoFactorRequired(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: `Two-factor authentication is required for the ${req.user.role} role`
+    });
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+  if (!(await user.matchPassword(req.body.password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+  }
+
+  const retryAfter = await limitTwoFactorAttempts(user._id);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many two-factor attempts. Please try again later.');
+  }
+
+  if (!(await verifySecondFactor(user._id, req.body))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.enabledAt': 1
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// @desc    Replace my recovery codes (the old ones stop working); returns the new codes once
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isTwoFactorEnabled(req.user)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const retryAfter = await limitTwoFactorAttempts(req.user._id);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many two-factor attempts. Please try again later.');
+  }
+
+  if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Store them somewhere safe.',
+    data: {
+      recoveryCodes: codes
+    }
+  });
+}));
+
+// @desc    Verify an email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+router.post('/verify-email', [
+  body('token').isString().trim().notEmpty().withMessage('Verification token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const user = await verifyEmailToken(req.body.token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired verification token'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: user.status === 'pending'
+      ? 'Email verified. Your account is waiting for super admin approval.'
+      : 'Email verified.',
+    data: {
       email: user.email,
-      role: user.role,
-      status: user.status,
-      companyName: user.companyName,
-      permissions: resolveUserPermissions(user)
+      emailVerifiedAt: user.emailVerifiedAt
     }
   });
 }));
 
-// @desc    Get current logged in user
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!getTransporter()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Email verification is not available. Please contact an administrator.'
+    });
+  }
+
+  const { email } = req.body;
+  const retryAfter = await limitHourlyRequests([
+    { key: `email-verification:email:${email}`, max: VERIFICATION_REQUESTS_PER_EMAIL },
+    { key: `email-verification:ip:${req.ip}`, max: VERIFICATION_REQUESTS_PER_IP }
+  ]);
+  if (retryAfter) {
+    return sendTooManyAttempts(res, retryAfter, 'Too many verification requests. Please try again later.');
+  }
+
+  // Same answer whether or not the account exists or is verified, so emails cannot be probed
+  const user = await User.findOne({ email });
+  if (user && !isEmailVerified(user)) {
+    await sendVerificationEmail(user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an unverified account exists for this email, a verification link has been sent.'
+  });
+}));
+
+// @desc    Get current logged in user, with recent sign-ins
 // @route   GET /api/auth/me
 // @access  Private
 router.get('/me', protect, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id);
+  const user = await User.findById(req.user.id).select('+recentLogins');
   const payload = user.toObject();
   payload.permissions = resolveUserPermissions(user);
 
@@ -204,15 +873,18 @@ router.put('/updatepassword', protect, [
     });
   }
 
+  // Saving a new password bumps tokenVersion, which ends every other session
   user.password = req.body.newPassword;
   await user.save();
 
-  const token = user.getSignedJwtToken();
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Password updated successfully',
-    token
+    token,
+    refreshToken,
+    refreshTokenExpiresAt
   });
 }));
 
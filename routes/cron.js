@@ -0,0 +1,76 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendDueTaskReminders } = require('../utils/taskReminders');
+const { processDueDeliveries } = require('../utils/webhooks');
+const { drainJobs } = require('../utils/jobQueue');
+const { sendDueLeadDigests } = require('../utils/leadNotifications');
+// Registers the auto-reply, drip sequence, new-lead notification and lead rescoring job handlers
+require('../utils/leadAutoReply');
+require('../utils/sequences');
+require('../utils/leadScoring');
+
+const router = express.Router();
+
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; the same header works for manual runs
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to run scheduled jobs'
+    });
+  }
+  next();
+};
+
+router.use(requireCronSecret);
+
+// @desc    Email reminders for follow-up tasks that are due
+// @route   GET /api/cron/task-reminders
+// @access  Cron (CRON_SECRET)
+router.get('/task-reminders', asyncHandler(async (req, res) => {
+  const result = await sendDueTaskReminders();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    Retry webhook deliveries whose backoff has elapsed
+// @route   GET /api/cron/webhooks
+// @access  Cron (CRON_SECRET)
+router.get('/webhooks', asyncHandler(async (req, res) => {
+  const result = await processDueDeliveries();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    Hourly and daily new-lead digests for sub admins
+// @route   GET /api/cron/lead-digests
+// @access  Cron (CRON_SECRET)
+router.get('/lead-digests', asyncHandler(async (req, res) => {
+  const result = await sendDueLeadDigests();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    Run queued background jobs (auto-replies, drip sequence steps, new-lead emails and retries)
+// @route   GET /api/cron/jobs
+// @access  Cron (CRON_SECRET)
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const result = await drainJobs();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -4,15 +4,104 @@ const LandingPage = require('../models/LandingPage');
 const Lead = require('../models/Lead');
 const AccessRequest = require('../models/AccessRequest');
 const AdminAccess = require('../models/AdminAccess');
-const { protect, authorize, authorizePermissions } = require('../middleware/auth');
+const { protect, authorize, authorizePermissions, checkApproval, protectStream } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const { PERMISSIONS } = require('../constants/permissions');
+const { summarizeLeadStages } = require('../utils/pipeline');
+const { getRevenueAnalytics } = require('../utils/revenueAnalytics');
+const { getDueTaskSummary } = require('../utils/tasks');
+const { subscribeToLeadEvents } = require('../utils/leadStream');
+const { createPurposeToken } = require('../utils/authTokens');
 
 const router = express.Router();
 
+// Keep-alive comment interval; also how often a sub admin's landing page access is re-checked
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+// Reconnect delay suggested to EventSource clients
+const STREAM_RETRY_MS = 5000;
+// Lifetime of the token that opens the stream; only needed until the connection is made
+const STREAM_TOKEN_EXPIRE = '5m';
+
+// @desc    Stream new leads and status changes (Server-Sent Events)
+// @route   GET /api/dashboard/stream
+// @access  Private (needs leads.view; sub admins only get their landing pages' leads)
+// EventSource cannot send headers, so a stream token may be passed as `?token=`
+router.get('/stream', [
+  protectStream,
+  checkApproval,
+  authorizePermissions(PERMISSIONS.LEADS_VIEW)
+], asyncHandler(async (req, res) => {
+  // null = every landing page (super admin)
+  let landingPageIds = null;
+  const loadAccess = async () => {
+    if (req.user.role !== 'sub_admin') return;
+    const accessRecords = await AdminAccess.find({ subAdmin: req.user.id, status: 'active' }).select('landingPage');
+    landingPageIds = new Set(accessRecords.map((record) => record.landingPage.toString()));
+  };
+  await loadAccess();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (event, data) => {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const { mode, unsubscribe } = await subscribeToLeadEvents((event) => {
+    if (landingPageIds && !landingPageIds.has(event.landingPage)) return;
+    send(event.type, event.data);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    loadAccess().catch((err) => {
+      console.error('[Lead stream] Could not refresh access:', err.message || err);
+    });
+  }, STREAM_HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  if (closed) {
+    cleanup();
+    return;
+  }
+  req.on('close', cleanup);
+
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  send('ready', { mode });
+}));
+
 // Protect all routes after this middleware
 router.use(protect);
 
+// @desc    Issue a short-lived token that only opens the lead stream
+// @route   POST /api/dashboard/stream-token
+// @access  Private (needs leads.view)
+router.post('/stream-token', [
+  checkApproval,
+  authorizePermissions(PERMISSIONS.LEADS_VIEW)
+], (req, res) => {
+  res.status(200).json({
+    success: true,
+    token: createPurposeToken(req.user, 'lead_stream', STREAM_TOKEN_EXPIRE),
+    expiresIn: STREAM_TOKEN_EXPIRE
+  });
+});
+
 // @desc    Get super admin dashboard stats
 // @route   GET /api/dashboard/super-admin
 // @access  Private (Super Admin only)
@@ -61,6 +150,12 @@ router.get('/super-admin', [
     }
   ]);
 
+  // Stage counts with open/won/lost buckets from each landing page's pipeline
+  const pipeline = await summarizeLeadStages(dateFilter);
+
+  // Pipeline value, won revenue and average deal size, per landing page and period
+  const revenue = await getRevenueAnalytics(dateFilter);
+
   // Get leads by date (last 30 days)
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -115,6 +210,8 @@ router.get('/super-admin', [
       acc[item._id || 'new'] = item.count;
       return acc;
     }, {}),
+    pipeline,
+    revenue,
     leadsByDate,
     recentActivity: {
       leads: recentActivity[0],
@@ -160,7 +257,8 @@ router.get('/sub-admin', [
           lostLeads: 0
         },
         leadsByDate: [],
-        recentLeads: []
+        recentLeads: [],
+        tasks: await getDueTaskSummary(req.user.id)
       }
     });
   }
@@ -179,32 +277,15 @@ router.get('/sub-admin', [
   // Add landing page filter
   const leadFilter = { ...dateFilter, landingPage: { $in: landingPageIds } };
 
-  // Get lead statistics
-  const leadsByStatus = await Lead.aggregate([
-    { $match: leadFilter },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
+  // Get lead statistics per pipeline stage
+  const pipeline = await summarizeLeadStages(leadFilter, landingPageIds);
 
-  const totalLeads = leadsByStatus.reduce((sum, item) => sum + item.count, 0);
-  
   const leadStats = {
-    totalLeads,
-    newLeads: 0,
-    contactedLeads: 0,
-    qualifiedLeads: 0,
-    convertedLeads: 0,
-    lostLeads: 0
+    totalLeads: pipeline.total
   };
 
-  leadsByStatus.forEach(stat => {
-    if (stat._id) {
-      leadStats[`${stat._id}Leads`] = stat.count;
-    }
+  pipeline.stages.forEach(stage => {
+    leadStats[`${stage.key}Leads`] = stage.count;
   });
 
   // Get leads by date (last 30 days)
@@ -234,13 +315,18 @@ router.get('/sub-admin', [
     .sort({ createdAt: -1 })
     .limit(10);
 
+  // Open follow-up tasks assigned to this sub admin that are overdue or due today
+  const tasks = await getDueTaskSummary(req.user.id);
+
   const stats = {
     overview: {
       totalLandingPages: landingPageIds.length,
       ...leadStats
     },
+    pipeline,
     leadsByDate,
-    recentLeads
+    recentLeads,
+    tasks
   };
 
   res.status(200).json({
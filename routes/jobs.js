@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { runJob, requeueJob, countJobsByStatus, getRegisteredJobTypes } = require('../utils/jobQueue');
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(authorize('super_admin'));
+
+// @desc    Get background jobs (e.g. auto-reply sends)
+// @route   GET /api/jobs
+// @access  Private (Super Admin only)
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, type, lead, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status && JOB_STATUSES.includes(status)) {
+    query.status = status;
+  }
+  if (type) {
+    query.type = type;
+  }
+  if (lead) {
+    query.lead = lead;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await Job.countDocuments(query);
+  const jobs = await Job.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    pagination,
+    total,
+    counts: await countJobsByStatus(type),
+    types: getRegisteredJobTypes(),
+    data: jobs
+  });
+}));
+
+// @desc    Re-run all dead jobs (optionally of one type)
+// @route   POST /api/jobs/retry-dead
+// @access  Private (Super Admin only)
+router.post('/retry-dead', [
+  body('type').optional().isString().withMessage('Type must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const query = { status: 'dead' };
+  if (req.body.type) {
+    query.type = req.body.type;
+  }
+
+  const result = await Job.updateMany(query, {
+    status: 'pending',
+    attempts: 0,
+    runAt: new Date(),
+    $unset: { deadAt: 1, lockedUntil: 1 }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} job(s) queued to run again`,
+    data: { requeued: result.modifiedCount }
+  });
+}));
+
+// @desc    Get single job with its failures
+// @route   GET /api/jobs/:id
+// @access  Private (Super Admin only)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const job = await Job.findById(req.params.id).populate('lead', 'firstName lastName email phone');
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+}));
+
+// @desc    Re-run a dead or waiting job now
+// @route   POST /api/jobs/:id/retry
+// @access  Private (Super Admin only)
+router.post('/:id/retry', [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const requeued = await requeueJob(job._id);
+  if (!requeued) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${job.status} job cannot be re-run`
+    });
+  }
+
+  const finished = (await runJob(requeued._id)) || requeued;
+
+  res.status(200).json({
+    success: true,
+    message: finished.status === 'completed'
+      ? 'Job completed'
+      : `Job failed: ${finished.lastError || 'unknown error'}`,
+    data: finished
+  });
+}));
+
+// @desc    Delete a job
+// @route   DELETE /api/jobs/:id
+// @access  Private (Super Admin only)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const job = await Job.findOneAndDelete({ _id: req.params.id, status: { $ne: 'processing' } });
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found or currently running'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Job deleted successfully'
+  });
+}));
+
+module.exports = router;
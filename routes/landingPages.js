@@ -1,8 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const LandingPage = require('../models/LandingPage');
 const { protect, authorize } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
+const { validateFormSubmission, getFieldDefinitions, UNKNOWN_FIELD_POLICIES, FIELD_NAME_REGEX } = require('../utils/formValidation');
+const { ASSIGNMENT_MODES } = require('../utils/leadAssignment');
+const { getPipelineStages, validatePipelineStages, summarizeLeadStages } = require('../utils/pipeline');
+const { getAutoReplyTemplates, renderAutoReplies, buildSampleLead, listPlaceholders } = require('../utils/autoReplyTemplates');
+const { getWhatsAppSettings } = require('../utils/leadAutoReply');
+const { SCORING_RULE_TYPES, SCORING_OPERATORS, EMAIL_DOMAIN_TYPES, getScoringSettings, validateScoringRules, queueLandingPageRescore } = require('../utils/leadScoring');
+
+const FORM_FIELD_TYPES = ['text', 'email', 'phone', 'textarea', 'select', 'checkbox', 'radio', 'number', 'date', 'url'];
 
 function generateTrackingKey(){
   return "LP_" + Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -254,16 +262,8 @@ router.get('/:id/stats', asyncHandler(async (req, res) => {
 
   const Lead = require('../models/Lead');
   
-  // Get lead statistics for this landing page
-  const stats = await Lead.aggregate([
-    { $match: { landingPage: landingPage._id } },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
+  // Get lead statistics for this landing page, per pipeline stage
+  const pipeline = await summarizeLeadStages({ landingPage: landingPage._id }, [landingPage._id]);
 
   const result = {
     landingPage: {
@@ -271,20 +271,13 @@ router.get('/:id/stats', asyncHandler(async (req, res) => {
       name: landingPage.name,
       url: landingPage.url
     },
-    totalLeads: 0,
-    newLeads: 0,
-    contactedLeads: 0,
-    qualifiedLeads: 0,
-    convertedLeads: 0,
-    lostLeads: 0
+    totalLeads: pipeline.total
   };
 
-  stats.forEach(stat => {
-    result.totalLeads += stat.count;
-    if (stat._id) {
-      result[`${stat._id}Leads`] = stat.count;
-    }
+  pipeline.stages.forEach(stage => {
+    result[`${stage.key}Leads`] = stage.count;
   });
+  result.pipeline = pipeline;
 
   // Get leads by date (last 30 days)
   const thirtyDaysAgo = new Date();
@@ -320,7 +313,8 @@ router.get('/:id/stats', asyncHandler(async (req, res) => {
 router.put('/:id/form-fields', [
   authorize('super_admin'),
   body('formFields').isArray().withMessage('Form fields must be an array'),
-  body('includeDefaultFields').isObject().withMessage('Include default fields must be an object')
+  body('includeDefaultFields').isObject().withMessage('Include default fields must be an object'),
+  body('unknownFieldPolicy').optional().isIn(UNKNOWN_FIELD_POLICIES).withMessage('Invalid unknown field policy')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -330,7 +324,7 @@ router.put('/:id/form-fields', [
     });
   }
 
-  const { formFields, includeDefaultFields } = req.body;
+  const { formFields, includeDefaultFields, unknownFieldPolicy } = req.body;
 
   // Check if landing page exists
   const existingLandingPage = await LandingPage.findById(req.params.id);
@@ -375,6 +369,7 @@ router.put('/:id/form-fields', [
   const fieldsToUpdate = {};
   if (formFields !== undefined) fieldsToUpdate.formFields = formFields;
   if (includeDefaultFields !== undefined) fieldsToUpdate.includeDefaultFields = includeDefaultFields;
+  if (unknownFieldPolicy !== undefined) fieldsToUpdate.unknownFieldPolicy = unknownFieldPolicy;
 
   const landingPage = await LandingPage.findByIdAndUpdate(
     req.params.id,
@@ -382,6 +377,11 @@ router.put('/:id/form-fields', [
     { new: true, runValidators: true }
   ).populate('createdBy', 'name email');
 
+  // Completeness scores depend on the form's fields
+  if (getScoringSettings(landingPage).enabled) {
+    await queueLandingPageRescore(landingPage._id);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Landing page form fields updated successfully',
@@ -389,12 +389,542 @@ router.put('/:id/form-fields', [
   });
 }));
 
+// @desc    Update landing page spam protection settings
+// @route   PUT /api/landing-pages/:id/spam-protection
+// @access  Private (Super Admin only)
+router.put('/:id/spam-protection', [
+  authorize('super_admin'),
+  body('honeypotField').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid honeypot field name'),
+  body('minSubmitSeconds').optional().isInt({ min: 0 }).withMessage('Minimum submit seconds must be 0 or more'),
+  body('maxPerIpPerHour').optional().isInt({ min: 0 }).withMessage('Per-IP limit must be 0 or more'),
+  body('maxPerTrackingKeyPerHour').optional().isInt({ min: 0 }).withMessage('Per-tracking-key limit must be 0 or more'),
+  body('spamThreshold').optional().isInt({ min: 1 }).withMessage('Spam threshold must be at least 1')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const settings = ['honeypotField', 'minSubmitSeconds', 'maxPerIpPerHour', 'maxPerTrackingKeyPerHour', 'spamThreshold'];
+  for (const key of settings) {
+    if (req.body[key] !== undefined) {
+      landingPage.spamProtection[key] = req.body[key] === null ? undefined : req.body[key];
+    }
+  }
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Spam protection settings updated successfully',
+    data: landingPage.spamProtection
+  });
+}));
+
+// @desc    Update landing page duplicate detection settings
+// @route   PUT /api/landing-pages/:id/duplicate-detection
+// @access  Private (Super Admin only)
+router.put('/:id/duplicate-detection', [
+  authorize('super_admin'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('windowDays').optional().isInt({ min: 0 }).withMessage('Window days must be 0 or more'),
+  body('matchKeys').optional().isArray().withMessage('Match keys must be an array'),
+  body('matchKeys.*').isIn(['email', 'phone', 'customField']).withMessage('Invalid match key'),
+  body('customField').optional({ values: 'null' }).trim().matches(FIELD_NAME_REGEX).withMessage('Invalid custom field name')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const settings = ['enabled', 'windowDays', 'matchKeys', 'customField'];
+  for (const key of settings) {
+    if (req.body[key] !== undefined) {
+      landingPage.duplicateDetection[key] = req.body[key] === null ? undefined : req.body[key];
+    }
+  }
+
+  const config = landingPage.duplicateDetection;
+  if (config.matchKeys.includes('customField') && !config.customField) {
+    return res.status(400).json({
+      success: false,
+      message: 'customField is required when matching on a custom field'
+    });
+  }
+
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Duplicate detection settings updated successfully',
+    data: landingPage.duplicateDetection
+  });
+}));
+
+// @desc    Get landing page pipeline stages
+// @route   GET /api/landing-pages/:id/pipeline
+// @access  Private
+router.get('/:id/pipeline', asyncHandler(async (req, res) => {
+  const landingPage = await LandingPage.findById(req.params.id).select('name pipelineStages');
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      landingPageId: landingPage._id,
+      isDefault: landingPage.pipelineStages.length === 0,
+      stages: getPipelineStages(landingPage)
+    }
+  });
+}));
+
+// @desc    Replace landing page pipeline stages
+// @route   PUT /api/landing-pages/:id/pipeline
+// @access  Private (Super Admin only)
+router.put('/:id/pipeline', [
+  authorize('super_admin'),
+  body('stages').isArray({ min: 1 }).withMessage('Stages must be a non-empty array'),
+  body('stages.*.key').isString().trim(),
+  body('stages.*.label').isString().trim(),
+  body('stages.*.color').optional({ values: 'null' }).isString().trim(),
+  body('stages.*.isWon').optional().isBoolean().toBoolean(),
+  body('stages.*.isLost').optional().isBoolean().toBoolean(),
+  body('stages.*.allowedNext').optional().isArray().withMessage('allowedNext must be an array of stage keys'),
+  body('stages.*.requiredFields').optional().isArray().withMessage('requiredFields must be an array of field names'),
+  body('remap').optional().isObject().withMessage('Remap must be an object of old stage key to new stage key')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const stages = req.body.stages.map((stage, index) => ({
+    key: stage.key,
+    label: stage.label,
+    color: stage.color || undefined,
+    order: index,
+    isWon: Boolean(stage.isWon),
+    isLost: Boolean(stage.isLost),
+    allowedNext: stage.allowedNext || [],
+    requiredFields: stage.requiredFields || []
+  }));
+
+  const stageError = validatePipelineStages(stages);
+  if (stageError) {
+    return res.status(400).json({
+      success: false,
+      message: stageError
+    });
+  }
+
+  // Leads in removed stages must be moved with `remap` ({ oldKey: newKey })
+  const Lead = require('../models/Lead');
+  const newKeys = stages.map((stage) => stage.key);
+  const remap = req.body.remap || {};
+  const removedInUse = (await Lead.distinct('status', { landingPage: landingPage._id }))
+    .filter((key) => key && !newKeys.includes(key));
+
+  const unmapped = removedInUse.filter((key) => !newKeys.includes(remap[key]));
+  if (unmapped.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Leads are still in removed stage(s): ${unmapped.join(', ')}. Map them to a new stage with remap.`,
+      unmappedStages: unmapped
+    });
+  }
+
+  for (const oldKey of removedInUse) {
+    await Lead.updateMany({ landingPage: landingPage._id, status: oldKey }, { status: remap[oldKey] });
+  }
+
+  landingPage.pipelineStages = stages;
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Pipeline stages updated successfully',
+    data: {
+      landingPageId: landingPage._id,
+      isDefault: false,
+      stages: getPipelineStages(landingPage),
+      remapped: removedInUse
+    }
+  });
+}));
+
+// @desc    Update landing page lead distribution settings
+// @route   PUT /api/landing-pages/:id/assignment
+// @access  Private (Super Admin only)
+router.put('/:id/assignment', [
+  authorize('super_admin'),
+  body('mode').optional().isIn(ASSIGNMENT_MODES).withMessage(`Mode must be one of: ${ASSIGNMENT_MODES.join(', ')}`),
+  body('weights').optional().isArray().withMessage('Weights must be an array'),
+  body('weights.*.subAdmin').isMongoId().withMessage('Invalid sub admin ID'),
+  body('weights.*.weight').isInt({ min: 0 }).withMessage('Weight must be 0 or more')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  if (req.body.mode !== undefined) {
+    landingPage.assignment.mode = req.body.mode;
+  }
+  if (req.body.weights !== undefined) {
+    landingPage.assignment.weights = req.body.weights.map((w) => ({
+      subAdmin: w.subAdmin,
+      weight: Number(w.weight)
+    }));
+  }
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Lead assignment settings updated successfully',
+    data: landingPage.assignment
+  });
+}));
+
+// @desc    Get landing page lead scoring settings
+// @route   GET /api/landing-pages/:id/lead-scoring
+// @access  Private
+router.get('/:id/lead-scoring', asyncHandler(async (req, res) => {
+  const landingPage = await LandingPage.findById(req.params.id).select('name leadScoring');
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      landingPageId: landingPage._id,
+      leadScoring: getScoringSettings(landingPage),
+      ruleTypes: SCORING_RULE_TYPES,
+      operators: SCORING_OPERATORS,
+      emailDomainTypes: EMAIL_DOMAIN_TYPES
+    }
+  });
+}));
+
+// @desc    Update landing page lead scoring settings and rescore its leads
+// @route   PUT /api/landing-pages/:id/lead-scoring
+// @access  Private (Super Admin only)
+router.put('/:id/lead-scoring', [
+  authorize('super_admin'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+  body('hotThreshold').optional().isInt({ min: 0, max: 100 }).withMessage('Hot threshold must be between 0 and 100').toInt(),
+  body('warmThreshold').optional().isInt({ min: 0, max: 100 }).withMessage('Warm threshold must be between 0 and 100').toInt(),
+  body('rules').optional().isArray({ max: 50 }).withMessage('Rules must be an array of at most 50 rules'),
+  body('rules.*.points').isNumeric().withMessage('Rule points must be a number').toFloat(),
+  body('rules.*.field').optional().isString().trim(),
+  body('rules.*.label').optional().isString().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const current = getScoringSettings(landingPage);
+  const settings = {
+    enabled: req.body.enabled ?? current.enabled,
+    hotThreshold: req.body.hotThreshold ?? current.hotThreshold,
+    warmThreshold: req.body.warmThreshold ?? current.warmThreshold,
+    rules: req.body.rules === undefined
+      ? current.rules
+      : req.body.rules.map((rule) => ({
+        type: rule.type,
+        field: rule.field || undefined,
+        operator: rule.operator || undefined,
+        value: rule.value,
+        points: rule.points,
+        label: rule.label || undefined
+      }))
+  };
+
+  const rulesError = validateScoringRules(settings.rules, settings);
+  if (rulesError) {
+    return res.status(400).json({
+      success: false,
+      message: rulesError
+    });
+  }
+
+  landingPage.leadScoring = settings;
+  await landingPage.save();
+
+  // Existing leads are rescored in the background (or have their scores removed when disabled)
+  const job = await queueLandingPageRescore(landingPage._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lead scoring settings updated successfully. Leads are being rescored.',
+    data: {
+      landingPageId: landingPage._id,
+      leadScoring: getScoringSettings(landingPage),
+      rescoreJob: job._id
+    }
+  });
+}));
+
+// @desc    Get landing page auto-reply templates
+// @route   GET /api/landing-pages/:id/auto-reply-templates
+// @access  Private (Super Admin only)
+router.get('/:id/auto-reply-templates', authorize('super_admin'), asyncHandler(async (req, res) => {
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      landingPageId: landingPage._id,
+      custom: landingPage.autoReplyTemplates || {},
+      templates: getAutoReplyTemplates(landingPage),
+      placeholders: listPlaceholders(landingPage)
+    }
+  });
+}));
+
+// @desc    Update landing page auto-reply templates (null or empty resets a part to the default)
+// @route   PUT /api/landing-pages/:id/auto-reply-templates
+// @access  Private (Super Admin only)
+router.put('/:id/auto-reply-templates', [
+  authorize('super_admin'),
+  body('email').optional({ values: 'null' }).isObject().withMessage('Email templates must be an object'),
+  body('email.subject').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('Subject cannot be more than 200 characters'),
+  body('email.html').optional({ values: 'null' }).isString().isLength({ max: 50000 }).withMessage('HTML template cannot be more than 50000 characters'),
+  body('email.text').optional({ values: 'null' }).isString().isLength({ max: 20000 }).withMessage('Text template cannot be more than 20000 characters'),
+  body('whatsapp').optional({ values: 'null' }).isObject().withMessage('WhatsApp templates must be an object'),
+  body('whatsapp.body').optional({ values: 'null' }).isString().isLength({ max: 1600 }).withMessage('WhatsApp template cannot be more than 1600 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const parts = { email: ['subject', 'html', 'text'], whatsapp: ['body'] };
+  for (const [channel, keys] of Object.entries(parts)) {
+    if (req.body[channel] === undefined) continue;
+    for (const key of keys) {
+      const value = req.body[channel] === null ? null : req.body[channel][key];
+      if (value !== undefined) {
+        landingPage.set(`autoReplyTemplates.${channel}.${key}`, value && value.trim() !== '' ? value : undefined);
+      }
+    }
+  }
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Auto-reply templates updated successfully',
+    data: {
+      landingPageId: landingPage._id,
+      custom: landingPage.autoReplyTemplates || {},
+      templates: getAutoReplyTemplates(landingPage),
+      placeholders: listPlaceholders(landingPage)
+    }
+  });
+}));
+
+// @desc    Preview auto-replies rendered against a sample or existing lead
+// @route   POST /api/landing-pages/:id/auto-reply-templates/preview
+// @access  Private (Super Admin only)
+router.post('/:id/auto-reply-templates/preview', [
+  authorize('super_admin'),
+  body('leadId').optional().isMongoId().withMessage('Invalid lead ID'),
+  body('lead').optional().isObject().withMessage('Sample lead must be an object'),
+  body('templates').optional().isObject().withMessage('Templates must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  let lead;
+  if (req.body.leadId) {
+    const Lead = require('../models/Lead');
+    lead = await Lead.findOne({ _id: req.body.leadId, landingPage: landingPage._id });
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found on this landing page'
+      });
+    }
+  } else {
+    lead = buildSampleLead(landingPage, req.body.lead || {});
+  }
+
+  // Unsaved edits: parts sent here replace the page's templates for this preview only
+  const templates = getAutoReplyTemplates(landingPage);
+  const draft = req.body.templates || {};
+  for (const channel of Object.keys(templates)) {
+    for (const key of Object.keys(templates[channel])) {
+      const value = draft[channel] && draft[channel][key];
+      if (typeof value === 'string' && value.trim() !== '') {
+        templates[channel][key] = value;
+      }
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      lead: req.body.leadId ? { _id: lead._id } : lead,
+      ...renderAutoReplies(landingPage, lead, templates)
+    }
+  });
+}));
+
+// @desc    Update landing page WhatsApp auto-reply settings (opt-in and consent field)
+// @route   PUT /api/landing-pages/:id/whatsapp-auto-reply
+// @access  Private (Super Admin only)
+router.put('/:id/whatsapp-auto-reply', [
+  authorize('super_admin'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+  body('consentField').optional().isString().trim().matches(FIELD_NAME_REGEX).withMessage('Consent field must be a form field name'),
+  body('defaultCountryCode').optional({ values: 'null' }).isString().trim().matches(/^\d{1,4}$/).withMessage('Default country code must be 1-4 digits without +')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const { enabled, consentField, defaultCountryCode } = req.body;
+  if (enabled !== undefined) {
+    landingPage.set('whatsappAutoReply.enabled', enabled);
+  }
+  if (consentField !== undefined) {
+    landingPage.set('whatsappAutoReply.consentField', consentField);
+  }
+  if (defaultCountryCode !== undefined) {
+    landingPage.set('whatsappAutoReply.defaultCountryCode', defaultCountryCode || undefined);
+  }
+
+  // Consent must be captured by the form itself before messages can be sent
+  const settings = getWhatsAppSettings(landingPage);
+  if (settings.enabled && !getFieldDefinitions(landingPage).some((field) => field.name === settings.consentField)) {
+    return res.status(400).json({
+      success: false,
+      message: `Add a "${settings.consentField}" field to the form before enabling WhatsApp auto-replies`
+    });
+  }
+  await landingPage.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'WhatsApp auto-reply settings updated successfully',
+    data: {
+      landingPageId: landingPage._id,
+      whatsappAutoReply: settings
+    }
+  });
+}));
+
 // @desc    Get landing page form configuration
 // @route   GET /api/landing-pages/:id/form-config
 // @access  Private
 router.get('/:id/form-config', asyncHandler(async (req, res) => {
   const landingPage = await LandingPage.findById(req.params.id)
-    .select('name formFields includeDefaultFields');
+    .select('name formFields includeDefaultFields unknownFieldPolicy');
 
   if (!landingPage) {
     return res.status(404).json({
@@ -408,7 +938,8 @@ router.get('/:id/form-config', asyncHandler(async (req, res) => {
     data: {
       name: landingPage.name,
       formFields: landingPage.formFields || [],
-      includeDefaultFields: landingPage.includeDefaultFields || {}
+      includeDefaultFields: landingPage.includeDefaultFields || {},
+      unknownFieldPolicy: landingPage.unknownFieldPolicy
     }
   });
 }));
@@ -427,53 +958,180 @@ router.post('/:id/test-form', [
     });
   }
 
-  // Validate form data against the landing page's form configuration
-  const { formData } = req.body;
-  const validationErrors = [];
+  // Validate form data with the same engine used by public lead intake
+  const { formData = {} } = req.body;
+  const { valid, errors } = validateFormSubmission(landingPage, formData);
 
-  // Validate default fields
-  if (landingPage.includeDefaultFields.firstName && (!formData.firstName || formData.firstName.trim().length < 2)) {
-    validationErrors.push('First name is required and must be at least 2 characters');
+  if (!valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Form validation failed',
+      errors
+    });
   }
 
-  if (landingPage.includeDefaultFields.lastName && (!formData.lastName || formData.lastName.trim().length < 2)) {
-    validationErrors.push('Last name is required and must be at least 2 characters');
-  }
+  res.status(200).json({
+    success: true,
+    message: 'Form validation passed',
+    data: {
+      formData,
+      formConfig: {
+        formFields: landingPage.formFields || [],
+        includeDefaultFields: landingPage.includeDefaultFields || {},
+        unknownFieldPolicy: landingPage.unknownFieldPolicy
+      }
+    }
+  });
+}));
 
-  if (landingPage.includeDefaultFields.email && (!formData.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email))) {
-    validationErrors.push('Valid email is required');
+// @desc    List quarantined (undeclared) fields submitted to a landing page
+// @route   GET /api/landing-pages/:id/quarantine
+// @access  Private (Super Admin only)
+router.get('/:id/quarantine', authorize('super_admin'), asyncHandler(async (req, res) => {
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
   }
 
-  // Validate dynamic fields
-  if (landingPage.formFields && landingPage.formFields.length > 0) {
-    for (const field of landingPage.formFields) {
-      const fieldValue = formData[field.name];
-      
-      if (field.required && (!fieldValue || fieldValue.toString().trim() === '')) {
-        validationErrors.push(`${field.label} is required`);
+  const Lead = require('../models/Lead');
+
+  const fields = await Lead.aggregate([
+    { $match: { landingPage: landingPage._id } },
+    { $project: { createdAt: 1, fields: { $objectToArray: { $ifNull: ['$quarantinedFields', {}] } } } },
+    { $unwind: '$fields' },
+    {
+      $group: {
+        _id: '$fields.k',
+        count: { $sum: 1 },
+        lastSeenAt: { $max: '$createdAt' },
+        sampleValues: { $addToSet: '$fields.v' }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        field: '$_id',
+        count: 1,
+        lastSeenAt: 1,
+        sampleValues: { $slice: ['$sampleValues', 5] }
       }
     }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: fields.length,
+    data: fields
+  });
+}));
+
+// @desc    Promote a quarantined field into the landing page's form fields
+// @route   POST /api/landing-pages/:id/quarantine/:field/promote
+// @access  Private (Super Admin only)
+router.post('/:id/quarantine/:field/promote', [
+  authorize('super_admin'),
+  param('field').matches(FIELD_NAME_REGEX).withMessage('Invalid field name'),
+  body('label').optional().trim().isLength({ min: 1 }).withMessage('Label cannot be empty'),
+  body('type').optional().isIn(FORM_FIELD_TYPES).withMessage('Invalid field type'),
+  body('required').optional().isBoolean().withMessage('Required must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
   }
 
-  if (validationErrors.length > 0) {
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const fieldName = req.params.field;
+  if ((landingPage.formFields || []).some((field) => field.name === fieldName)) {
     return res.status(400).json({
       success: false,
-      message: 'Form validation failed',
-      errors: validationErrors
+      message: `Form field "${fieldName}" already exists`
     });
   }
 
+  landingPage.formFields.push({
+    name: fieldName,
+    label: req.body.label || fieldName,
+    type: req.body.type || 'text',
+    required: Boolean(req.body.required),
+    order: landingPage.formFields.length
+  });
+  await landingPage.save();
+
+  // Move the quarantined values into dynamicFields on every lead of this page
+  const Lead = require('../models/Lead');
+  const quarantinedPath = `quarantinedFields.${fieldName}`;
+  const result = await Lead.updateMany(
+    { landingPage: landingPage._id, [quarantinedPath]: { $exists: true } },
+    [
+      { $set: { [`dynamicFields.${fieldName}`]: `$${quarantinedPath}` } },
+      { $unset: quarantinedPath }
+    ]
+  );
+
+  if (getScoringSettings(landingPage).enabled) {
+    await queueLandingPageRescore(landingPage._id);
+  }
+
   res.status(200).json({
     success: true,
-    message: 'Form validation passed',
+    message: `Field "${fieldName}" promoted to form fields`,
     data: {
-      formData,
-      formConfig: {
-        formFields: landingPage.formFields || [],
-        includeDefaultFields: landingPage.includeDefaultFields || {}
-      }
+      formFields: landingPage.formFields,
+      leadsUpdated: result.modifiedCount
     }
   });
 }));
 
+// @desc    Discard a quarantined field from every lead of a landing page
+// @route   DELETE /api/landing-pages/:id/quarantine/:field
+// @access  Private (Super Admin only)
+router.delete('/:id/quarantine/:field', [
+  authorize('super_admin'),
+  param('field').matches(FIELD_NAME_REGEX).withMessage('Invalid field name')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const landingPage = await LandingPage.findById(req.params.id);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const Lead = require('../models/Lead');
+  const quarantinedPath = `quarantinedFields.${req.params.field}`;
+  const result = await Lead.updateMany(
+    { landingPage: landingPage._id, [quarantinedPath]: { $exists: true } },
+    { $unset: { [quarantinedPath]: '' } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Quarantined field "${req.params.field}" discarded`,
+    data: { leadsUpdated: result.modifiedCount }
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
@@ -3,9 +3,24 @@ const { body, validationResult } = require('express-validator');
 const Lead = require('../models/Lead');
 const LandingPage = require('../models/LandingPage');
 const AdminAccess = require('../models/AdminAccess');
+const LeadActivity = require('../models/LeadActivity');
+const Task = require('../models/Task');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
 const { protect, authorize, checkApproval } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
-const { scheduleLeadAutoReplies } = require('../utils/leadAutoReply');
+const { scheduleLeadAutoReplies, hasWhatsAppConsent, recordWhatsAppDeliveryStatus } = require('../utils/leadAutoReply');
+const { isValidTwilioCallback } = require('../utils/whatsapp');
+const { validateFormSubmission, DEFAULT_FIELD_NAMES, CLIENT_METADATA_FIELDS } = require('../utils/formValidation');
+const { createFormToken, evaluateSpam, checkSubmissionRateLimits } = require('../utils/spamProtection');
+const { findDuplicateLead } = require('../utils/leadDuplicates');
+const { assignNewLead } = require('../utils/leadAssignment');
+const { getInitialStage, getLandingPageStages, pickTransitionFields, checkStageTransition, summarizeLeadStages } = require('../utils/pipeline');
+const { recordLeadChanges } = require('../utils/leadActivity');
+const { emitLeadEvent, emitLeadChangeEvents } = require('../utils/webhooks');
+const { enrollLeadInSequences } = require('../utils/sequences');
+const { notifyNewLead } = require('../utils/leadNotifications');
+const { notifyLeadAssigned } = require('../utils/notifications');
+const { applyLeadScore, rescoreLead, applyScoreFilters, getLeadSort } = require('../utils/leadScoring');
 
 const router = express.Router();
 
@@ -17,7 +32,7 @@ const router = express.Router();
 // @route   POST /api/leads
 // @access  Public
 router.post('/', asyncHandler(async (req, res) => {
-  const { trackingKey, source, ...formData } = req.body;
+  const { trackingKey, source, formToken, ...formData } = req.body;
 
   // Check if landing page exists
   const landingPage = await LandingPage.findOne({ trackingKey });
@@ -28,6 +43,33 @@ router.post('/', asyncHandler(async (req, res) => {
     });
   }
 
+  const rateLimit = await checkSubmissionRateLimits({ ip: req.ip, landingPage });
+  if (rateLimit.limited) {
+    res.set('Retry-After', String(rateLimit.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many submissions. Please try again later.'
+    });
+  }
+
+  const spam = await evaluateSpam({ landingPage, formData, formToken, req });
+
+  // The honeypot input is not a real form field
+  const honeypotField = landingPage.spamProtection && landingPage.spamProtection.honeypotField;
+  if (honeypotField) {
+    delete formData[honeypotField];
+  }
+
+  // Validate default and configured fields against the landing page's form configuration
+  const { valid, errors, values, undeclared } = validateFormSubmission(landingPage, formData);
+  if (!valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Form validation failed',
+      errors
+    });
+  }
+
   // Prepare lead data
   const leadData = {
     landingPage: landingPage._id,
@@ -35,81 +77,71 @@ router.post('/', asyncHandler(async (req, res) => {
     userAgent: req.get('User-Agent'),
     dynamicFields: new Map(),
     source: source || 'landing_page',
+    status: getInitialStage(landingPage).key,
+    spamScore: spam.spamScore,
+    isSpam: spam.isSpam,
+    spamReasons: spam.spamReasons
   };
 
-  // Process default fields based on landing page configuration
-  if (landingPage.includeDefaultFields.firstName) {
-    if (!formData.firstName || formData.firstName.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'First name is required and must be at least 2 characters'
-      });
+  // Declared fields: defaults go on the lead itself, configured fields into dynamicFields
+  for (const [fieldName, value] of Object.entries(values)) {
+    if (DEFAULT_FIELD_NAMES.includes(fieldName)) {
+      leadData[fieldName] = value;
+    } else {
+      leadData.dynamicFields.set(fieldName, value);
     }
-    leadData.firstName = formData.firstName.trim();
   }
 
-  if (landingPage.includeDefaultFields.lastName) {
-    if (!formData.lastName || formData.lastName.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Last name is required and must be at least 2 characters'
-      });
+  // Client metadata (location, device) is always kept for analytics
+  for (const fieldName of CLIENT_METADATA_FIELDS) {
+    const fieldValue = formData[fieldName];
+    if (!(fieldName in values) && fieldValue && fieldValue.toString().trim() !== '') {
+      leadData.dynamicFields.set(fieldName, fieldValue.toString().trim());
     }
-    leadData.lastName = formData.lastName.trim();
   }
 
-  if (landingPage.includeDefaultFields.email) {
-    if (!formData.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid email is required'
-      });
+  // Undeclared fields follow the landing page's intake policy (strict is rejected during validation)
+  if (Object.keys(undeclared).length > 0) {
+    if (landingPage.unknownFieldPolicy === 'quarantine') {
+      leadData.quarantinedFields = new Map(Object.entries(undeclared));
+    } else {
+      for (const [fieldName, fieldValue] of Object.entries(undeclared)) {
+        leadData.dynamicFields.set(fieldName, fieldValue);
+      }
     }
-    leadData.email = formData.email.toLowerCase().trim();
   }
 
-  if (formData.phone) {
-    leadData.phone = formData.phone.trim();
+  // WhatsApp opt-in from the landing page's consent field
+  if (hasWhatsAppConsent(landingPage, values)) {
+    leadData.whatsappConsent = true;
+    leadData.whatsappConsentAt = new Date();
   }
 
-  if (landingPage.includeDefaultFields.company && formData.company) {
-    leadData.company = formData.company.trim();
+  // Link to an earlier lead from the same person, if any
+  const duplicateOf = await findDuplicateLead(landingPage, leadData);
+  if (duplicateOf) {
+    leadData.duplicateOf = duplicateOf._id;
   }
 
-  if (landingPage.includeDefaultFields.message && formData.message) {
-    leadData.message = formData.message.trim();
-  }
+  // Give the lead an owner according to the landing page's distribution mode
+  await assignNewLead(landingPage, leadData, duplicateOf);
 
-  // Define standard field names that should not be stored in dynamicFields
-  const standardFields = ['firstName', 'lastName', 'email', 'phone', 'landingPageId', 'source'];
-  
-  // Process dynamic form fields (both configured and unconfigured)
-  for (const [fieldName, fieldValue] of Object.entries(formData)) {
-    // Skip if it's a standard field or if value is empty
-    if (standardFields.includes(fieldName) || !fieldValue || fieldValue.toString().trim() === '') {
-      continue;
-    }
-    
-    // Check if this field is configured in the landing page
-    const configuredField = landingPage.formFields?.find(field => field.name === fieldName);
-    
-    // If field is configured and required, validate it
-    if (configuredField && configuredField.required && (!fieldValue || fieldValue.toString().trim() === '')) {
-      return res.status(400).json({
-        success: false,
-        message: `${configuredField.label} is required`
-      });
-    }
-    
-    // Store the field value
-    leadData.dynamicFields.set(fieldName, fieldValue.toString().trim());
-  }
+  // Score the lead with the landing page's scoring rules
+  applyLeadScore(leadData, landingPage);
 
   // Create lead
   const lead = await Lead.create(leadData);
 
-  // Auto-reply email + WhatsApp (non-blocking; failures are logged only)
-  scheduleLeadAutoReplies(lead, landingPage);
+  // Queue auto-reply email + WhatsApp (sent in the background; failures are retried), start the
+  // page's drip sequences, tell its sub admins and send the lead.created webhook. Never reply to
+  // or announce spam.
+  if (!lead.isSpam) {
+    await scheduleLeadAutoReplies(lead, landingPage);
+    await enrollLeadInSequences(lead, landingPage);
+    await notifyNewLead(lead, landingPage);
+    await notifyLeadAssigned(lead);
+    await emitLeadEvent('lead.created', lead);
+  }
 
   res.status(201).json({
     success: true,
@@ -118,6 +150,47 @@ router.post('/', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Issue a signed form token for time-to-submit spam checks
+// @route   GET /api/leads/form-token?trackingKey=
+// @access  Public
+router.get('/form-token', asyncHandler(async (req, res) => {
+  const { trackingKey } = req.query;
+
+  const landingPage = typeof trackingKey === 'string'
+    ? await LandingPage.findOne({ trackingKey }).select('status')
+    : null;
+  if (!landingPage || landingPage.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid landing page'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      formToken: createFormToken(trackingKey)
+    }
+  });
+}));
+
+// @desc    Receive WhatsApp delivery status updates from Twilio
+// @route   POST /api/leads/whatsapp-status
+// @access  Public (signed by Twilio)
+router.post('/whatsapp-status', asyncHandler(async (req, res) => {
+  if (!isValidTwilioCallback(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid Twilio signature'
+    });
+  }
+
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  await recordWhatsAppDeliveryStatus(MessageSid, MessageStatus, ErrorCode);
+
+  res.status(200).json({ success: true });
+}));
+
 router.use(protect);
 router.use(checkApproval);
 // @desc    Get all leads (Super Admin can see all, Sub Admin only their assigned landing pages)
@@ -176,6 +249,15 @@ router.get('/', asyncHandler(async (req, res) => {
     ];
   }
 
+  // Filter by score bucket (hot/warm/cold/unscored) or score range
+  const scoreFilterError = applyScoreFilters(query, req.query);
+  if (scoreFilterError) {
+    return res.status(400).json({
+      success: false,
+      message: scoreFilterError
+    });
+  }
+
   // Pagination
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 10;
@@ -184,7 +266,7 @@ router.get('/', asyncHandler(async (req, res) => {
   const total = await Lead.countDocuments(query);
   const leads = await Lead.find(query)
     .populate('landingPage', 'name url')
-    .sort({ createdAt: -1 })
+    .sort(getLeadSort(req.query.sort))
     .skip(startIndex)
     .limit(limit);
 
@@ -260,11 +342,53 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get a lead's drip sequences with each step's send state
+// @route   GET /api/leads/:id/sequences
+// @access  Private
+router.get('/:id/sequences', asyncHandler(async (req, res) => {
+  const lead = await Lead.findById(req.params.id).select('landingPage unsubscribedAt');
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  if (req.user.role === 'sub_admin') {
+    const hasAccess = await AdminAccess.findOne({
+      subAdmin: req.user.id,
+      landingPage: lead.landingPage,
+      status: 'active'
+    });
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this lead'
+      });
+    }
+  }
+
+  const enrollments = await SequenceEnrollment.find({ lead: lead._id })
+    .populate('sequence', 'name isActive')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: enrollments.length,
+    unsubscribedAt: lead.unsubscribedAt || null,
+    data: enrollments
+  });
+}));
+
 // @desc    Update lead status
 // @route   PUT /api/leads/:id/status
 // @access  Private
 router.put('/:id/status', [
-  body('status').isIn(['new', 'contacted', 'qualified', 'converted', 'lost']).withMessage('Invalid status')
+  body('status').isString().trim().notEmpty().withMessage('Status is required'),
+  body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Lost reason cannot be more than 500 characters'),
+  body('dealValue').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Deal value must be 0 or more').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -300,9 +424,29 @@ router.put('/:id/status', [
     }
   }
 
+  // Keep the current values for the activity timeline
+  const previousLead = await Lead.findById(req.params.id);
+  if (!previousLead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Enforce the pipeline's transition rules and required fields
+  const updates = { status: req.body.status, ...pickTransitionFields(req.body) };
+  const stages = await getLandingPageStages(previousLead.landingPage);
+  const transitionError = checkStageTransition(stages, previousLead, req.body.status, updates);
+  if (transitionError) {
+    return res.status(400).json({
+      success: false,
+      ...transitionError
+    });
+  }
+
   const lead = await Lead.findByIdAndUpdate(
     req.params.id,
-    { status: req.body.status },
+    updates,
     { new: true, runValidators: true }
   ).populate('landingPage', 'name url');
 
@@ -313,6 +457,10 @@ router.put('/:id/status', [
     });
   }
 
+  await recordLeadChanges(previousLead, updates, { userId: req.user.id });
+  await emitLeadChangeEvents(previousLead, updates);
+  await rescoreLead(lead);
+
   res.status(200).json({
     success: true,
     message: 'Lead status updated successfully',
@@ -329,7 +477,11 @@ router.put('/:id', [
   body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('phone').optional().trim(),
   body('company').optional().trim(),
-  body('message').optional().trim()
+  body('message').optional().trim(),
+  body('dealValue').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Deal value must be 0 or more').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('expectedCloseDate').optional({ values: 'null' }).isISO8601().withMessage('Expected close date must be a valid date').toDate(),
+  body('probability').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100').toFloat()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -365,13 +517,26 @@ router.put('/:id', [
     }
   }
 
+  // Keep the current values for the activity timeline
+  const previousLead = await Lead.findById(req.params.id);
+  if (!previousLead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
   const fieldsToUpdate = {
     firstName: req.body.firstName,
     lastName: req.body.lastName,
     email: req.body.email,
     phone: req.body.phone,
     company: req.body.company,
-    message: req.body.message
+    message: req.body.message,
+    dealValue: req.body.dealValue,
+    currency: req.body.currency,
+    expectedCloseDate: req.body.expectedCloseDate,
+    probability: req.body.probability
   };
 
   // Remove undefined fields
@@ -392,6 +557,10 @@ router.put('/:id', [
     });
   }
 
+  await recordLeadChanges(previousLead, fieldsToUpdate, { userId: req.user.id });
+  await emitLeadChangeEvents(previousLead, fieldsToUpdate);
+  await rescoreLead(lead);
+
   res.status(200).json({
     success: true,
     message: 'Lead updated successfully',
@@ -412,6 +581,11 @@ router.delete('/:id', authorize('super_admin'), asyncHandler(async (req, res) =>
     });
   }
 
+  await LeadActivity.deleteMany({ lead: lead._id });
+  await Task.deleteMany({ lead: lead._id });
+  await SequenceEnrollment.deleteMany({ lead: lead._id });
+  await emitLeadEvent('lead.deleted', lead);
+
   res.status(200).json({
     success: true,
     message: 'Lead deleted successfully'
@@ -461,31 +635,17 @@ router.get('/stats/overview', asyncHandler(async (req, res) => {
     }
   }
 
-  const stats = await Lead.aggregate([
-    { $match: matchQuery },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
+  // Counts per pipeline stage (`<stageKey>Leads`) plus open/won/lost buckets
+  const pipeline = await summarizeLeadStages(matchQuery, matchQuery.landingPage ? matchQuery.landingPage.$in : []);
 
   const result = {
-    totalLeads: 0,
-    newLeads: 0,
-    contactedLeads: 0,
-    qualifiedLeads: 0,
-    convertedLeads: 0,
-    lostLeads: 0
+    totalLeads: pipeline.total
   };
 
-  stats.forEach(stat => {
-    result.totalLeads += stat.count;
-    if (stat._id) {
-      result[`${stat._id}Leads`] = stat.count;
-    }
+  pipeline.stages.forEach(stage => {
+    result[`${stage.key}Leads`] = stage.count;
   });
+  result.pipeline = pipeline;
 
   res.status(200).json({
     success: true,
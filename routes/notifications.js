@@ -0,0 +1,120 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect, checkApproval } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(checkApproval);
+
+// @desc    Get my notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const { unread, type, page = 1, limit = 20 } = req.query;
+
+  const query = { recipient: req.user.id };
+  if (unread === 'true') {
+    query.readAt = null;
+  }
+  if (type) {
+    query.type = type;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await Notification.countDocuments(query);
+  const notifications = await Notification.find(query)
+    .populate('actor', 'name email')
+    .populate('landingPage', 'name url')
+    .populate('lead', 'firstName lastName email')
+    .populate('task', 'title dueAt status')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    pagination,
+    total,
+    unreadCount: await Notification.countDocuments({ recipient: req.user.id, readAt: null }),
+    data: notifications
+  });
+}));
+
+// @desc    Get my unread notification count (for the inbox badge)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount }
+  });
+}));
+
+// @desc    Mark all my notifications read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user.id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked read`,
+    data: { updated: result.modifiedCount }
+  });
+}));
+
+// @desc    Mark one of my notifications read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,328 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Sequence = require('../models/Sequence');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
+const LandingPage = require('../models/LandingPage');
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { stopEnrollment } = require('../utils/sequences');
+const { getPipelineStages } = require('../utils/pipeline');
+
+const ENROLLMENT_STATUSES = ['active', 'completed', 'stopped'];
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(authorize('super_admin'));
+
+const sequenceValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    field('steps').isArray({ min: 1, max: 20 }).withMessage('A sequence needs between 1 and 20 steps'),
+    body('steps.*.delayMinutes').isInt({ min: 0, max: 525600 }).withMessage('Step delay must be between 0 and 525600 minutes').toInt(),
+    body('steps.*.subject').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Step subject must be between 1 and 200 characters'),
+    body('steps.*.html').isString().isLength({ min: 1, max: 50000 }).withMessage('Step HTML must be between 1 and 50000 characters'),
+    body('steps.*.text').optional({ values: 'null' }).isString().isLength({ max: 20000 }).withMessage('Step text cannot be more than 20000 characters'),
+    body('stopConditions').optional().isObject().withMessage('Stop conditions must be an object'),
+    body('stopConditions.statusChange').optional().isBoolean().withMessage('statusChange must be true or false').toBoolean(),
+    body('stopConditions.statuses').optional().isArray().withMessage('Stop statuses must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+function pickSteps(steps) {
+  return steps.map(({ delayMinutes, subject, html, text }) => ({
+    delayMinutes,
+    subject,
+    html,
+    text: text || undefined
+  }));
+}
+
+// Stop statuses must be stages of the landing page's pipeline
+function findUnknownStatuses(landingPage, statuses = []) {
+  const keys = getPipelineStages(landingPage).map((stage) => stage.key);
+  return statuses.filter((status) => !keys.includes(status));
+}
+
+// @desc    Get drip sequences (optionally of one landing page)
+// @route   GET /api/sequences
+// @access  Private (Super Admin only)
+router.get('/', asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.landingPage) {
+    query.landingPage = req.query.landingPage;
+  }
+
+  const sequences = await Sequence.find(query)
+    .populate('landingPage', 'name url')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sequences.length,
+    data: sequences
+  });
+}));
+
+// @desc    Get single sequence with enrollment counts
+// @route   GET /api/sequences/:id
+// @access  Private (Super Admin only)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid sequence ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const sequence = await Sequence.findById(req.params.id)
+    .populate('landingPage', 'name url')
+    .populate('createdBy', 'name email');
+
+  if (!sequence) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sequence not found'
+    });
+  }
+
+  const rows = await SequenceEnrollment.aggregate([
+    { $match: { sequence: sequence._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const enrollments = { active: 0, completed: 0, stopped: 0 };
+  rows.forEach((row) => {
+    enrollments[row._id] = row.count;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { ...sequence.toObject(), enrollments }
+  });
+}));
+
+// @desc    Create drip sequence for a landing page
+// @route   POST /api/sequences
+// @access  Private (Super Admin only)
+router.post('/', [
+  body('landingPage').isMongoId().withMessage('Invalid landing page ID'),
+  ...sequenceValidators(false)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { landingPage: landingPageId, name, steps, stopConditions = {}, isActive } = req.body;
+
+  const landingPage = await LandingPage.findById(landingPageId);
+  if (!landingPage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const unknownStatuses = findUnknownStatuses(landingPage, stopConditions.statuses);
+  if (unknownStatuses.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown stop status(es) for this landing page: ${unknownStatuses.join(', ')}`
+    });
+  }
+
+  const sequence = await Sequence.create({
+    landingPage: landingPage._id,
+    name,
+    steps: pickSteps(steps),
+    stopConditions: {
+      statusChange: stopConditions.statusChange,
+      statuses: stopConditions.statuses ? [...new Set(stopConditions.statuses)] : []
+    },
+    isActive,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Sequence created successfully. New leads of the landing page will be enrolled.',
+    data: sequence
+  });
+}));
+
+// @desc    Update drip sequence (enrolled leads get the new content and delays for steps not yet sent)
+// @route   PUT /api/sequences/:id
+// @access  Private (Super Admin only)
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid sequence ID'),
+  ...sequenceValidators(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const sequence = await Sequence.findById(req.params.id).populate('landingPage');
+  if (!sequence) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sequence not found'
+    });
+  }
+
+  const { name, steps, stopConditions, isActive } = req.body;
+
+  if (stopConditions && stopConditions.statuses) {
+    const unknownStatuses = findUnknownStatuses(sequence.landingPage, stopConditions.statuses);
+    if (unknownStatuses.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown stop status(es) for this landing page: ${unknownStatuses.join(', ')}`
+      });
+    }
+  }
+
+  if (name !== undefined) sequence.name = name;
+  if (steps !== undefined) sequence.steps = pickSteps(steps);
+  if (isActive !== undefined) sequence.isActive = isActive;
+  if (stopConditions) {
+    if (stopConditions.statusChange !== undefined) {
+      sequence.stopConditions.statusChange = stopConditions.statusChange;
+    }
+    if (stopConditions.statuses !== undefined) {
+      sequence.stopConditions.statuses = [...new Set(stopConditions.statuses)];
+    }
+  }
+
+  await sequence.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Sequence updated successfully',
+    data: sequence
+  });
+}));
+
+// @desc    Delete drip sequence (stops it for enrolled leads; their history is kept)
+// @route   DELETE /api/sequences/:id
+// @access  Private (Super Admin only)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid sequence ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const sequence = await Sequence.findByIdAndDelete(req.params.id);
+  if (!sequence) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sequence not found'
+    });
+  }
+
+  const active = await SequenceEnrollment.find({ sequence: sequence._id, status: 'active' }).select('_id');
+  await Promise.all(active.map((enrollment) => stopEnrollment(enrollment._id, 'Sequence deleted')));
+
+  res.status(200).json({
+    success: true,
+    message: 'Sequence deleted successfully'
+  });
+}));
+
+// @desc    Get the leads enrolled in a sequence with each step's send state
+// @route   GET /api/sequences/:id/enrollments
+// @access  Private (Super Admin only)
+router.get('/:id/enrollments', [
+  param('id').isMongoId().withMessage('Invalid sequence ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = { sequence: req.params.id };
+  if (status && ENROLLMENT_STATUSES.includes(status)) {
+    query.status = status;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await SequenceEnrollment.countDocuments(query);
+  const enrollments = await SequenceEnrollment.find(query)
+    .populate('lead', 'firstName lastName email status')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: enrollments.length,
+    pagination,
+    total,
+    data: enrollments
+  });
+}));
+
+// @desc    Stop a lead's enrollment in a sequence
+// @route   POST /api/sequences/enrollments/:id/stop
+// @access  Private (Super Admin only)
+router.post('/enrollments/:id/stop', [
+  param('id').isMongoId().withMessage('Invalid enrollment ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const enrollment = await stopEnrollment(req.params.id, `Stopped by ${req.user.name || 'an admin'}`);
+  if (!enrollment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Active enrollment not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Sequence stopped for this lead',
+    data: enrollment
+  });
+}));
+
+module.exports = router;
@@ -4,11 +4,25 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Lead = require('../models/Lead');
 const AdminAccess = require('../models/AdminAccess');
+const LeadActivity = require('../models/LeadActivity');
+const Task = require('../models/Task');
+const RefreshToken = require('../models/RefreshToken');
 const LandingPage = require('../models/LandingPage');
 const { protect, authorize, checkApproval, authorizePermissions } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const { parseLeadCSV } = require('../utils/csvParser');
 const { getLeadAnalyticsData, getEmptyAnalyticsData } = require('../utils/leadAnalytics');
+const { findLeadByEmailForImport, listDuplicateClusters, mergeLeads, loadMergeCandidates } = require('../utils/leadDuplicates');
+const { logLeadActivity, recordLeadChanges } = require('../utils/leadActivity');
+const { emitLeadChangeEvents } = require('../utils/webhooks');
+const { isEligibleAssignee, releaseInaccessibleAssignments } = require('../utils/leadAssignment');
+const { parseDealFields } = require('../utils/revenueAnalytics');
+const { TASK_STATUSES, buildTaskQuery, canAssignTask, applyTaskUpdates } = require('../utils/tasks');
+const { notifyLeadAssigned } = require('../utils/notifications');
+const { NOTIFICATION_FREQUENCIES } = require('../utils/leadNotifications');
+const { rescoreLead, applyScoreFilters, getLeadSort } = require('../utils/leadScoring');
+const { getApprovalBlocker } = require('../utils/emailVerification');
+const { getPipelineStages, getLandingPageStages, pickTransitionFields, checkStageTransition, resolveStage, summarizeLeadStages } = require('../utils/pipeline');
 const { PERMISSIONS, normalizePermissions, resolveUserPermissions } = require('../constants/permissions');
 
 const router = express.Router();
@@ -263,6 +277,14 @@ router.put('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MANAGE
   }
 
   const { name, companyName, phone, password, status, email } = req.body;
+
+  const blocker = status === 'approved' && ctx.target.status !== 'approved' && getApprovalBlocker(ctx.target);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker
+    });
+  }
   const creatorPermissions = new Set(resolveUserPermissions(req.user));
   const normalizedPermissions = normalizePermissions(req.body.permissions);
 
@@ -333,7 +355,9 @@ router.delete('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MAN
   }
 
   await AdminAccess.deleteMany({ subAdmin: req.params.id });
+  await releaseInaccessibleAssignments(req.params.id);
   await User.findByIdAndDelete(req.params.id);
+  await RefreshToken.deleteMany({ user: req.params.id });
 
   res.status(200).json({
     success: true,
@@ -353,13 +377,17 @@ router.get('/profile', authorizePermissions(PERMISSIONS.PROFILE_VIEW), asyncHand
   });
 }));
 
-// @desc    Update sub admin profile
+// @desc    Update sub admin profile and new-lead notification preferences
 // @route   PUT /api/sub-admin/profile
 // @access  Private (Sub Admin only)
 router.put('/profile', authorizePermissions(PERMISSIONS.PROFILE_EDIT), [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   // body('companyName').optional().trim().isLength({ min: 2 }).withMessage('Company name must be at least 2 characters')
   body('phone').optional().trim().isLength({ min: 7 }).withMessage('Please provide a valid phone number'),
+  body('notificationPreferences').optional().isObject().withMessage('Notification preferences must be an object'),
+  body('notificationPreferences.newLeadEmail').optional().isBoolean().withMessage('newLeadEmail must be true or false').toBoolean(),
+  body('notificationPreferences.newLeadFrequency').optional().isIn(NOTIFICATION_FREQUENCIES)
+    .withMessage(`newLeadFrequency must be one of: ${NOTIFICATION_FREQUENCIES.join(', ')}`)
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -369,13 +397,24 @@ router.put('/profile', authorizePermissions(PERMISSIONS.PROFILE_EDIT), [
     });
   }
 
-  const { name, phone } = req.body;
+  const { name, phone, notificationPreferences = {} } = req.body;
 
   const fieldsToUpdate = {
     name,
-    phone
+    phone,
+    'notificationPreferences.newLeadEmail': notificationPreferences.newLeadEmail,
+    'notificationPreferences.newLeadFrequency': notificationPreferences.newLeadFrequency
   };
 
+  // A new digest starts from now rather than covering every lead since the last one
+  if (notificationPreferences.newLeadFrequency !== undefined) {
+    const current = await User.findById(req.user.id).select('notificationPreferences');
+    const currentFrequency = (current.notificationPreferences && current.notificationPreferences.newLeadFrequency) || 'instant';
+    if (currentFrequency !== notificationPreferences.newLeadFrequency) {
+      fieldsToUpdate['notificationPreferences.lastDigestAt'] = new Date();
+    }
+  }
+
   // Remove undefined fields
   Object.keys(fieldsToUpdate).forEach(key => 
     fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
@@ -453,6 +492,9 @@ router.get('/leads', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(
     search, 
     startDate, 
     endDate, 
+    spam,
+    assigned = 'all',
+    sort,
     page = 1, 
     limit = 10 
   } = req.query;
@@ -492,6 +534,20 @@ router.get('/leads', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(
     }
   }
 
+  // Spam leads are hidden unless requested (spam=include shows all, spam=only shows spam)
+  if (spam === 'only') {
+    query.isSpam = true;
+  } else if (spam !== 'include') {
+    query.isSpam = { $ne: true };
+  }
+
+  // Ownership filter: mine = assigned to me, unassigned = nobody owns it, all = no filter
+  if (assigned === 'mine') {
+    query.assignedTo = req.user.id;
+  } else if (assigned === 'unassigned') {
+    query.assignedTo = null;
+  }
+
   // Search by name or email if provided
   if (search) {
     query.$or = [
@@ -501,6 +557,15 @@ router.get('/leads', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(
     ];
   }
 
+  // Filter by score bucket (hot/warm/cold/unscored) or score range
+  const scoreFilterError = applyScoreFilters(query, req.query);
+  if (scoreFilterError) {
+    return res.status(400).json({
+      success: false,
+      message: scoreFilterError
+    });
+  }
+
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
   const startIndex = (pageNum - 1) * limitNum;
@@ -508,7 +573,8 @@ router.get('/leads', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(
   const total = await Lead.countDocuments(query);
   const leads = await Lead.find(query)
     .populate('landingPage', 'name url')
-    .sort({ createdAt: -1 })
+    .populate('assignedTo', 'name email')
+    .sort(getLeadSort(sort))
     .skip(startIndex)
     .limit(limitNum);
 
@@ -547,7 +613,9 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
     status, 
     search, 
     startDate, 
-    endDate 
+    endDate,
+    spam,
+    assigned = 'all'
   } = req.query;
 
   // Get sub admin's assigned landing pages
@@ -570,6 +638,13 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
 
   // Apply same filters as get leads
   if (status) query.status = status;
+  // Spam leads are hidden unless requested (spam=include shows all, spam=only shows spam)
+  if (spam === 'only') {
+    query.isSpam = true;
+  } else if (spam !== 'include') {
+    query.isSpam = { $ne: true };
+  }
+
   if (search) {
     query.$or = [
       { firstName: { $regex: search, $options: 'i' } },
@@ -582,10 +657,20 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
     if (startDate) query.createdAt.$gte = new Date(startDate);
     if (endDate) query.createdAt.$lte = new Date(endDate);
   }
+  if (assigned === 'mine') query.assignedTo = req.user.id;
+  if (assigned === 'unassigned') query.assignedTo = null;
+  const scoreFilterError = applyScoreFilters(query, req.query);
+  if (scoreFilterError) {
+    return res.status(400).json({
+      success: false,
+      message: scoreFilterError
+    });
+  }
 
   const leads = await Lead.find(query)
     .populate('landingPage', 'name url')
-    .sort({ createdAt: -1 });
+    .populate('assignedTo', 'name email')
+    .sort(getLeadSort(req.query.sort));
 
   // Format data for export
   const exportData = leads.map(lead => ({
@@ -598,6 +683,14 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
     'Message': lead.message || '',
     'Landing Page': lead.landingPage?.name || '',
     'Status': lead.status,
+    'Assigned To': lead.assignedTo?.email || '',
+    'Score': lead.score ?? '',
+    'Score Bucket': lead.scoreBucket || '',
+    'Lost Reason': lead.lostReason || '',
+    'Deal Value': lead.dealValue ?? '',
+    'Currency': lead.currency || '',
+    'Expected Close Date': lead.expectedCloseDate ? lead.expectedCloseDate.toISOString() : '',
+    'Probability': lead.probability ?? '',
     'IP Address': lead.ipAddress || '',
     'Created At': lead.createdAt.toISOString()
   }));
@@ -609,10 +702,103 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
   });
 }));
 
+// @desc    List duplicate lead clusters on sub admin's landing pages
+// @route   GET /api/sub-admin/leads/duplicates
+// @access  Private (Sub Admin only)
+router.get('/leads/duplicates', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const accessRecords = await AdminAccess.find({
+    subAdmin: req.user.id,
+    status: 'active'
+  });
+
+  const landingPageIds = accessRecords.map(record => record.landingPage);
+
+  if (landingPageIds.length === 0) {
+    return res.status(200).json({
+      success: true,
+      count: 0,
+      data: [],
+      total: 0
+    });
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 10));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const { total, clusters } = await listDuplicateClusters(
+    { landingPage: { $in: landingPageIds } },
+    { skip: startIndex, limit: limitNum }
+  );
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: clusters.length,
+    pagination,
+    total,
+    data: clusters
+  });
+}));
+
+// @desc    Merge duplicate leads into a primary lead on sub admin's landing pages
+// @route   POST /api/sub-admin/leads/:id/merge
+// @access  Private (Sub Admin only)
+router.post('/leads/:id/merge', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('duplicateIds').optional().isArray().withMessage('Duplicate IDs must be an array')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { error, primary, duplicates } = await loadMergeCandidates(req.params.id, req.body.duplicateIds);
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Check if sub admin has access to the leads' landing page (all candidates share it)
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: primary.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this lead'
+    });
+  }
+
+  const merged = await mergeLeads(primary, duplicates, req.user.id);
+  await merged.populate('landingPage', 'name url');
+
+  res.status(200).json({
+    success: true,
+    message: `Merged ${duplicates.length} duplicate lead(s)`,
+    data: merged
+  });
+}));
+
 // @desc    Upload CSV to update leads (status, lastContacted, etc.) for sub-admin's leads only
 // @route   POST /api/sub-admin/leads/upload
 // @access  Private (Sub Admin only)
-const VALID_STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
 router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), upload.single('file'), asyncHandler(async (req, res) => {
   if (!req.file || !req.file.buffer) {
     return res.status(400).json({
@@ -643,6 +829,7 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
   const errors = [...(parseErrors || [])];
   let updated = 0;
   let failed = 0;
+  const stagesByPage = new Map();
 
   for (const row of rows) {
     if (!row._id && !row.email) {
@@ -657,11 +844,13 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
         landingPage: { $in: landingPageIds }
       });
     } else if (row.email) {
-      const email = row.email.trim().toLowerCase();
-      lead = await Lead.findOne({
-        email,
-        landingPage: { $in: landingPageIds }
-      });
+      const match = await findLeadByEmailForImport(row.email, { landingPage: { $in: landingPageIds } });
+      if (match.ambiguous) {
+        errors.push(`Multiple leads match email ${row.email}; use Lead ID instead`);
+        failed++;
+        continue;
+      }
+      lead = match.lead;
     }
 
     if (!lead) {
@@ -675,8 +864,35 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
     if (row.phone !== undefined) updates.phone = row.phone;
     if (row.company !== undefined) updates.company = row.company;
     if (row.message !== undefined) updates.message = row.message;
-    if (row.status && VALID_STATUSES.includes(row.status.toLowerCase())) {
-      updates.status = row.status.toLowerCase();
+    Object.assign(updates, pickTransitionFields(row));
+    const deal = parseDealFields(row);
+    if (deal.errors.length > 0) {
+      errors.push(`Lead ${row.email || row._id}: ${deal.errors.join(', ')}`);
+      failed++;
+      continue;
+    }
+    Object.assign(updates, deal.values);
+    if (row.status) {
+      // Status may be a stage key or label of the lead's landing page pipeline
+      const pageId = lead.landingPage.toString();
+      if (!stagesByPage.has(pageId)) {
+        stagesByPage.set(pageId, await getLandingPageStages(lead.landingPage));
+      }
+      const stages = stagesByPage.get(pageId);
+      const stage = resolveStage(stages, row.status);
+      if (!stage) {
+        errors.push(`Unknown status "${row.status}" for lead ${row.email || row._id}`);
+        failed++;
+        continue;
+      }
+      updates.status = stage.key;
+
+      const transitionError = checkStageTransition(stages, lead, stage.key, updates);
+      if (transitionError) {
+        errors.push(`Lead ${row.email || row._id}: ${transitionError.message}`);
+        failed++;
+        continue;
+      }
     }
     if (row.lastContacted) {
       const d = new Date(row.lastContacted);
@@ -686,7 +902,10 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
       failed++;
       continue;
     }
-    await Lead.findByIdAndUpdate(lead._id, updates, { runValidators: true });
+    const updatedLead = await Lead.findByIdAndUpdate(lead._id, updates, { new: true, runValidators: true });
+    await recordLeadChanges(lead, updates, { userId: req.user.id, source: 'import' });
+    await emitLeadChangeEvents(lead, updates);
+    await rescoreLead(updatedLead);
     updated++;
   }
 
@@ -703,7 +922,10 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
 // @route   PUT /api/sub-admin/leads/:id/status
 // @access  Private (Sub Admin only)
 router.put('/leads/:id/status', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
-  body('status').isIn(['new', 'contacted', 'qualified', 'converted', 'lost']).withMessage('Invalid status')
+  body('status').isString().trim().notEmpty().withMessage('Status is required'),
+  body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Lost reason cannot be more than 500 characters'),
+  body('dealValue').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Deal value must be 0 or more').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -735,8 +957,22 @@ router.put('/leads/:id/status', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     });
   }
 
-  lead.status = req.body.status;
+  // Enforce the pipeline's transition rules and required fields
+  const updates = { status: req.body.status, ...pickTransitionFields(req.body) };
+  const transitionError = checkStageTransition(getPipelineStages(lead.landingPage), lead, req.body.status, updates);
+  if (transitionError) {
+    return res.status(400).json({
+      success: false,
+      ...transitionError
+    });
+  }
+
+  const previousLead = lead.toObject();
+  lead.set(updates);
   await lead.save();
+  await recordLeadChanges(previousLead, updates, { userId: req.user.id });
+  await emitLeadChangeEvents(previousLead, updates);
+  await rescoreLead(lead);
 
   await lead.populate('landingPage', 'name url');
 
@@ -757,8 +993,14 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
   body('phone').optional().trim(),
   body('company').optional().trim(),
   body('message').optional().trim(),
-  body('status').optional().isIn(['new', 'contacted', 'qualified', 'converted', 'lost']).withMessage('Invalid status'),
-  body('lastContacted').optional().isISO8601().toDate()
+  body('status').optional().isString().trim().notEmpty().withMessage('Invalid status'),
+  body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Lost reason cannot be more than 500 characters'),
+  body('dealValue').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Deal value must be 0 or more').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('expectedCloseDate').optional({ values: 'null' }).isISO8601().withMessage('Expected close date must be a valid date').toDate(),
+  body('probability').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100').toFloat(),
+  body('lastContacted').optional().isISO8601().toDate(),
+  body('isSpam').optional().isBoolean().toBoolean()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -790,6 +1032,17 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     });
   }
 
+  if (req.body.status !== undefined) {
+    // Enforce the pipeline's transition rules and required fields
+    const transitionError = checkStageTransition(getPipelineStages(lead.landingPage), lead, req.body.status, req.body);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        ...transitionError
+      });
+    }
+  }
+
   const fieldsToUpdate = {
     firstName: req.body.firstName,
     lastName: req.body.lastName,
@@ -798,7 +1051,13 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     company: req.body.company,
     message: req.body.message,
     status: req.body.status,
-    lastContacted: req.body.lastContacted
+    lostReason: req.body.lostReason,
+    dealValue: req.body.dealValue,
+    currency: req.body.currency,
+    expectedCloseDate: req.body.expectedCloseDate,
+    probability: req.body.probability,
+    lastContacted: req.body.lastContacted,
+    isSpam: req.body.isSpam
   };
 
   // Remove undefined fields
@@ -812,6 +1071,10 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     { new: true, runValidators: true }
   ).populate('landingPage', 'name url');
 
+  await recordLeadChanges(lead, fieldsToUpdate, { userId: req.user.id });
+  await emitLeadChangeEvents(lead, fieldsToUpdate);
+  await rescoreLead(updatedLead);
+
   res.status(200).json({
     success: true,
     message: 'Lead updated successfully',
@@ -819,6 +1082,455 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
   });
 }));
 
+// @desc    Assign, reassign or unassign a lead
+// @route   PUT /api/sub-admin/leads/:id/assign
+// @access  Private (Sub Admin only)
+router.put('/leads/:id/assign', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('assignedTo').exists().withMessage('assignedTo is required (a sub admin ID, or null to unassign)'),
+  body('assignedTo').optional({ values: 'null' }).isMongoId().withMessage('Invalid sub admin ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Check if sub admin has access to this lead's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: lead.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this lead'
+    });
+  }
+
+  const { assignedTo } = req.body;
+  if (assignedTo && !(await isEligibleAssignee(lead.landingPage, assignedTo))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Leads can only be assigned to approved sub admins with access to the landing page'
+    });
+  }
+
+  const previousLead = lead.toObject();
+  lead.assignedTo = assignedTo || undefined;
+  lead.assignedAt = assignedTo ? Date.now() : undefined;
+  await lead.save();
+
+  await recordLeadChanges(previousLead, { assignedTo: assignedTo || null }, { userId: req.user.id });
+  await emitLeadChangeEvents(previousLead, { assignedTo: assignedTo || null });
+  if (assignedTo && String(previousLead.assignedTo) !== String(assignedTo)) {
+    await notifyLeadAssigned(lead, req.user.id);
+  }
+  await lead.populate([
+    { path: 'landingPage', select: 'name url' },
+    { path: 'assignedTo', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: assignedTo ? 'Lead assigned successfully' : 'Lead unassigned successfully',
+    data: lead
+  });
+}));
+
+// @desc    Get a lead's activity timeline
+// @route   GET /api/sub-admin/leads/:id/activities
+// @access  Private (Sub Admin only)
+router.get('/leads/:id/activities', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Check if sub admin has access to this lead's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: lead.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this lead'
+    });
+  }
+
+  const { type, page = 1, limit = 20 } = req.query;
+  const query = { lead: lead._id };
+  if (type) {
+    query.type = type;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await LeadActivity.countDocuments(query);
+  const activities = await LeadActivity.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: activities.length,
+    pagination,
+    total,
+    data: activities
+  });
+}));
+
+// @desc    Log a note, call or email on a lead
+// @route   POST /api/sub-admin/leads/:id/activities
+// @access  Private (Sub Admin only)
+router.post('/leads/:id/activities', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('type').isIn(['note', 'call', 'email']).withMessage('Type must be note, call or email'),
+  body('content').trim().isLength({ min: 1, max: 5000 }).withMessage('Content must be between 1 and 5000 characters'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Check if sub admin has access to this lead's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: lead.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this lead'
+    });
+  }
+
+  const activity = await logLeadActivity({
+    lead,
+    type: req.body.type,
+    content: req.body.content,
+    metadata: req.body.metadata,
+    userId: req.user.id
+  });
+
+  if (!activity) {
+    return res.status(500).json({
+      success: false,
+      message: 'Could not save activity'
+    });
+  }
+
+  await activity.populate('createdBy', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Activity added successfully',
+    data: activity
+  });
+}));
+
+// @desc    Get follow-up tasks on sub admin's landing pages
+// @route   GET /api/sub-admin/tasks
+// @access  Private (Sub Admin only)
+router.get('/tasks', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const { status, due, lead, assigned = 'all', page = 1, limit = 20 } = req.query;
+
+  // Get sub admin's assigned landing pages
+  const accessRecords = await AdminAccess.find({
+    subAdmin: req.user.id,
+    status: 'active'
+  });
+
+  const landingPageIds = accessRecords.map(record => record.landingPage);
+
+  const scope = { landingPage: { $in: landingPageIds } };
+  if (assigned === 'mine') {
+    scope.assignedTo = req.user.id;
+  }
+
+  const query = buildTaskQuery({ status, due, lead }, scope);
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await Task.countDocuments(query);
+  const tasks = await Task.find(query)
+    .populate('lead', 'firstName lastName email phone status')
+    .populate('landingPage', 'name')
+    .populate('assignedTo', 'name email')
+    .sort({ dueAt: 1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    pagination,
+    total,
+    data: tasks
+  });
+}));
+
+// @desc    Get a lead's follow-up tasks
+// @route   GET /api/sub-admin/leads/:id/tasks
+// @access  Private (Sub Admin only)
+router.get('/leads/:id/tasks', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Check if sub admin has access to this lead's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: lead.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this lead'
+    });
+  }
+
+  const tasks = await Task.find(buildTaskQuery({ status: req.query.status, due: req.query.due }, { lead: lead._id }))
+    .populate('assignedTo', 'name email')
+    .populate('completedBy', 'name email')
+    .sort({ dueAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    data: tasks
+  });
+}));
+
+// @desc    Create a follow-up task on a lead
+// @route   POST /api/sub-admin/leads/:id/tasks
+// @access  Private (Sub Admin only)
+router.post('/leads/:id/tasks', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot be more than 2000 characters'),
+  body('dueAt').isISO8601().withMessage('Due date must be a valid date').toDate(),
+  body('remindAt').optional({ values: 'null' }).isISO8601().withMessage('Reminder time must be a valid date').toDate(),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  // Check if sub admin has access to this lead's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: lead.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this lead'
+    });
+  }
+
+  const assignedTo = req.body.assignedTo || req.user.id;
+  if (!(await canAssignTask(lead.landingPage, assignedTo, req.user.id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tasks can only be assigned to yourself or a sub admin with access to the landing page'
+    });
+  }
+
+  const task = await Task.create({
+    lead: lead._id,
+    landingPage: lead.landingPage,
+    title: req.body.title,
+    description: req.body.description,
+    dueAt: req.body.dueAt,
+    remindAt: req.body.remindAt || undefined,
+    assignedTo,
+    createdBy: req.user.id
+  });
+
+  await logLeadActivity({
+    lead,
+    type: 'task',
+    content: `Created task: ${task.title}`,
+    metadata: { task: task._id, dueAt: task.dueAt, assignedTo },
+    userId: req.user.id
+  });
+
+  await task.populate('assignedTo', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Task created successfully',
+    data: task
+  });
+}));
+
+// @desc    Update, complete or reassign a task
+// @route   PUT /api/sub-admin/tasks/:id
+// @access  Private (Sub Admin only)
+router.put('/tasks/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot be more than 2000 characters'),
+  body('dueAt').optional().isISO8601().withMessage('Due date must be a valid date').toDate(),
+  body('remindAt').optional({ values: 'null' }).isISO8601().withMessage('Reminder time must be a valid date').toDate(),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID'),
+  body('status').optional().isIn(TASK_STATUSES).withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  // Check if sub admin has access to the task's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: task.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this task'
+    });
+  }
+
+  const { error } = await applyTaskUpdates(task, req.body, req.user.id);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await task.populate([
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'completedBy', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Task updated successfully',
+    data: task
+  });
+}));
+
+// @desc    Delete a task
+// @route   DELETE /api/sub-admin/tasks/:id
+// @access  Private (Sub Admin only)
+router.delete('/tasks/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  // Check if sub admin has access to the task's landing page
+  const hasAccess = await AdminAccess.findOne({
+    subAdmin: req.user.id,
+    landingPage: task.landingPage,
+    status: 'active'
+  });
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this task'
+    });
+  }
+
+  await Task.findByIdAndDelete(task._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Task deleted successfully'
+  });
+}));
+
 // @desc    Get sub admin dashboard stats
 // @route   GET /api/sub-admin/dashboard-stats
 // @access  Private (Sub Admin only)
@@ -866,32 +1578,15 @@ router.get('/dashboard-stats', authorizePermissions(PERMISSIONS.DASHBOARD_VIEW),
   // Add landing page filter
   const leadFilter = { ...dateFilter, landingPage: { $in: landingPageIds } };
 
-  // Get lead statistics
-  const leadsByStatus = await Lead.aggregate([
-    { $match: leadFilter },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
+  // Get lead statistics per pipeline stage
+  const pipeline = await summarizeLeadStages(leadFilter, landingPageIds);
 
-  const totalLeads = leadsByStatus.reduce((sum, item) => sum + item.count, 0);
-  
   const leadStats = {
-    totalLeads,
-    newLeads: 0,
-    contactedLeads: 0,
-    qualifiedLeads: 0,
-    convertedLeads: 0,
-    lostLeads: 0
+    totalLeads: pipeline.total
   };
 
-  leadsByStatus.forEach(stat => {
-    if (stat._id) {
-      leadStats[`${stat._id}Leads`] = stat.count;
-    }
+  pipeline.stages.forEach(stage => {
+    leadStats[`${stage.key}Leads`] = stage.count;
   });
 
   // Get leads by date (last 30 days)
@@ -926,6 +1621,7 @@ router.get('/dashboard-stats', authorizePermissions(PERMISSIONS.DASHBOARD_VIEW),
       totalLandingPages: landingPageIds.length,
       ...leadStats
     },
+    pipeline,
     leadsByDate,
     recentLeads
   };
@@ -1,15 +1,29 @@
 const express = require('express');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const LandingPage = require('../models/LandingPage');
 const Lead = require('../models/Lead');
 const AdminAccess = require('../models/AdminAccess');
+const LeadActivity = require('../models/LeadActivity');
+const Task = require('../models/Task');
+const RefreshToken = require('../models/RefreshToken');
 const { protect, authorize, authorizePermissions } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const { parseLeadCSV } = require('../utils/csvParser');
 const { getLeadAnalyticsData, getEmptyAnalyticsData } = require('../utils/leadAnalytics');
+const { findLeadByEmailForImport, listDuplicateClusters, mergeLeads, loadMergeCandidates } = require('../utils/leadDuplicates');
+const { logLeadActivity, recordLeadChanges } = require('../utils/leadActivity');
+const { emitLeadChangeEvents } = require('../utils/webhooks');
+const { isEligibleAssignee, releaseInaccessibleAssignments } = require('../utils/leadAssignment');
+const { parseDealFields } = require('../utils/revenueAnalytics');
+const { TASK_STATUSES, buildTaskQuery, canAssignTask, applyTaskUpdates } = require('../utils/tasks');
+const { notifyLeadAssigned } = require('../utils/notifications');
+const { getLoginSecuritySettings, clearUserLockout, clearIpLockout } = require('../utils/loginSecurity');
+const { getApprovalBlocker } = require('../utils/emailVerification');
+const { rescoreLead, applyScoreFilters, getLeadSort } = require('../utils/leadScoring');
+const { getPipelineStages, getLandingPageStages, pickTransitionFields, checkStageTransition, resolveStage } = require('../utils/pipeline');
 const { PERMISSIONS, normalizePermissions, resolveUserPermissions } = require('../constants/permissions');
 
 const router = express.Router();
@@ -442,6 +456,14 @@ router.put('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MANAGE
     });
   }
 
+  const blocker = status === 'approved' && user.status !== 'approved' && getApprovalBlocker(user);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker
+    });
+  }
+
   // Only set phone if it's a non-empty string
   const fieldsToUpdate = {
     name,
@@ -505,6 +527,9 @@ router.put('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MANAGE
     }
   }
 
+  // Leads on landing pages the sub admin lost access to go back to the pool
+  await releaseInaccessibleAssignments(req.params.id);
+
   // Get updated user with access information
   const access = await AdminAccess.find({ 
     subAdmin: req.params.id,
@@ -548,11 +573,13 @@ router.delete('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MAN
   //   });
   // }
 
-  // Remove admin access records
+  // Remove admin access records and unassign their leads
   await AdminAccess.deleteMany({ subAdmin: req.params.id });
+  await releaseInaccessibleAssignments(req.params.id);
 
-  // Delete the user
+  // Delete the user and their sessions
   await User.findByIdAndDelete(req.params.id);
+  await RefreshToken.deleteMany({ user: req.params.id });
 
   res.status(200).json({
     success: true,
@@ -560,6 +587,74 @@ router.delete('/sub-admins/:id', authorizePermissions(PERMISSIONS.SUB_ADMINS_MAN
   });
 }));
 
+// @desc    Get locked accounts and accounts with failed login attempts
+// @route   GET /api/super-admin/lockouts
+// @access  Private (Super Admin only)
+router.get('/lockouts', authorizePermissions(PERMISSIONS.SUB_ADMINS_VIEW), asyncHandler(async (req, res) => {
+  const users = await User.find({
+    $or: [{ lockUntil: { $gt: new Date() } }, { failedLoginAttempts: { $gt: 0 } }]
+  })
+    .select('name email role status +failedLoginAttempts +lockoutCount +lockUntil')
+    .sort({ lockUntil: -1 });
+
+  const now = new Date();
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    settings: getLoginSecuritySettings(),
+    data: users.map((user) => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      locked: Boolean(user.lockUntil && user.lockUntil > now),
+      lockUntil: user.lockUntil && user.lockUntil > now ? user.lockUntil : null,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockoutCount: user.lockoutCount
+    }))
+  });
+}));
+
+// @desc    Unlock an account and reset its failed login attempts
+// @route   DELETE /api/super-admin/lockouts/:userId
+// @access  Private (Super Admin only)
+router.delete('/lockouts/:userId', authorizePermissions(PERMISSIONS.SUB_ADMINS_MANAGE), asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.userId) || !(await clearUserLockout(req.params.userId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked'
+  });
+}));
+
+// @desc    Clear the failed login attempts of an IP address
+// @route   DELETE /api/super-admin/lockouts/ips/:ip
+// @access  Private (Super Admin only)
+router.delete('/lockouts/ips/:ip', authorizePermissions(PERMISSIONS.SUB_ADMINS_MANAGE), [
+  param('ip').isIP().withMessage('Invalid IP address')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  await clearIpLockout(req.params.ip);
+
+  res.status(200).json({
+    success: true,
+    message: `Login attempts from ${req.params.ip} cleared`
+  });
+}));
+
 // @desc    Get all leads
 // @route   GET /api/super-admin/leads
 // @access  Private (Super Admin only)
@@ -570,6 +665,9 @@ router.get('/leads', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(
     search, 
     startDate, 
     endDate, 
+    spam,
+    assignedTo,
+    sort,
     page = 1, 
     limit = 10 
   } = req.query;
@@ -634,6 +732,26 @@ query.landingPage = { $in: activeLandingPageIds };
     }
   }
 
+  // Spam leads are hidden unless requested (spam=include shows all, spam=only shows spam)
+  if (spam === 'only') {
+    query.isSpam = true;
+  } else if (spam !== 'include') {
+    query.isSpam = { $ne: true };
+  }
+
+  // Filter by owner: a sub admin ID, or "unassigned"
+  if (assignedTo === 'unassigned') {
+    query.assignedTo = null;
+  } else if (assignedTo) {
+    if (!isValidObjectId(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignedTo filter'
+      });
+    }
+    query.assignedTo = assignedTo;
+  }
+
   // Search by name or email if provided
   if (search) {
     query.$or = [
@@ -643,6 +761,15 @@ query.landingPage = { $in: activeLandingPageIds };
     ];
   }
 
+  // Filter by score bucket (hot/warm/cold/unscored) or score range
+  const scoreFilterError = applyScoreFilters(query, req.query);
+  if (scoreFilterError) {
+    return res.status(400).json({
+      success: false,
+      message: scoreFilterError
+    });
+  }
+
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
   const startIndex = (pageNum - 1) * limitNum;
@@ -650,7 +777,8 @@ query.landingPage = { $in: activeLandingPageIds };
   const total = await Lead.countDocuments(query);
   const leads = await Lead.find(query)
     .populate('landingPage', 'name url')
-    .sort({ createdAt: -1 })
+    .populate('assignedTo', 'name email')
+    .sort(getLeadSort(sort))
     .skip(startIndex)
     .limit(limitNum);
 
@@ -691,8 +819,14 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
   body('phone').optional().trim(),
   body('company').optional().trim(),
   body('message').optional().trim(),
-  body('status').optional().isIn(['new', 'contacted', 'qualified', 'converted', 'lost']).withMessage('Invalid status'),
-  body('lastContacted').optional().isISO8601().toDate()
+  body('status').optional().isString().trim().notEmpty().withMessage('Invalid status'),
+  body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Lost reason cannot be more than 500 characters'),
+  body('dealValue').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Deal value must be 0 or more').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('expectedCloseDate').optional({ values: 'null' }).isISO8601().withMessage('Expected close date must be a valid date').toDate(),
+  body('probability').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100').toFloat(),
+  body('lastContacted').optional().isISO8601().toDate(),
+  body('isSpam').optional().isBoolean().toBoolean()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -710,6 +844,17 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     });
   }
 
+  if (req.body.status !== undefined) {
+    // Enforce the pipeline's transition rules and required fields
+    const transitionError = checkStageTransition(getPipelineStages(lead.landingPage), lead, req.body.status, req.body);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        ...transitionError
+      });
+    }
+  }
+
   const fieldsToUpdate = {
     firstName: req.body.firstName,
     lastName: req.body.lastName,
@@ -718,7 +863,13 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     company: req.body.company,
     message: req.body.message,
     status: req.body.status,
-    lastContacted: req.body.lastContacted
+    lostReason: req.body.lostReason,
+    dealValue: req.body.dealValue,
+    currency: req.body.currency,
+    expectedCloseDate: req.body.expectedCloseDate,
+    probability: req.body.probability,
+    lastContacted: req.body.lastContacted,
+    isSpam: req.body.isSpam
   };
 
   Object.keys(fieldsToUpdate).forEach(key =>
@@ -731,6 +882,10 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
     { new: true, runValidators: true }
   ).populate('landingPage', 'name url');
 
+  await recordLeadChanges(lead, fieldsToUpdate, { userId: req.user.id });
+  await emitLeadChangeEvents(lead, fieldsToUpdate);
+  await rescoreLead(updatedLead);
+
   res.status(200).json({
     success: true,
     message: 'Lead updated successfully',
@@ -738,10 +893,412 @@ router.put('/leads/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
   });
 }));
 
+// @desc    Assign, reassign or unassign a lead
+// @route   PUT /api/super-admin/leads/:id/assign
+// @access  Private (Super Admin only)
+router.put('/leads/:id/assign', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('assignedTo').exists().withMessage('assignedTo is required (a sub admin ID, or null to unassign)'),
+  body('assignedTo').optional({ values: 'null' }).isMongoId().withMessage('Invalid sub admin ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { assignedTo } = req.body;
+  if (assignedTo && !(await isEligibleAssignee(lead.landingPage, assignedTo))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Leads can only be assigned to approved sub admins with access to the landing page'
+    });
+  }
+
+  const previousLead = lead.toObject();
+  lead.assignedTo = assignedTo || undefined;
+  lead.assignedAt = assignedTo ? Date.now() : undefined;
+  await lead.save();
+
+  await recordLeadChanges(previousLead, { assignedTo: assignedTo || null }, { userId: req.user.id });
+  await emitLeadChangeEvents(previousLead, { assignedTo: assignedTo || null });
+  if (assignedTo && String(previousLead.assignedTo) !== String(assignedTo)) {
+    await notifyLeadAssigned(lead, req.user.id);
+  }
+  await lead.populate([
+    { path: 'landingPage', select: 'name url' },
+    { path: 'assignedTo', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: assignedTo ? 'Lead assigned successfully' : 'Lead unassigned successfully',
+    data: lead
+  });
+}));
+
+// @desc    Get a lead's activity timeline
+// @route   GET /api/super-admin/leads/:id/activities
+// @access  Private (Super Admin only)
+router.get('/leads/:id/activities', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { type, page = 1, limit = 20 } = req.query;
+  const query = { lead: lead._id };
+  if (type) {
+    query.type = type;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await LeadActivity.countDocuments(query);
+  const activities = await LeadActivity.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: activities.length,
+    pagination,
+    total,
+    data: activities
+  });
+}));
+
+// @desc    Log a note, call or email on a lead
+// @route   POST /api/super-admin/leads/:id/activities
+// @access  Private (Super Admin only)
+router.post('/leads/:id/activities', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('type').isIn(['note', 'call', 'email']).withMessage('Type must be note, call or email'),
+  body('content').trim().isLength({ min: 1, max: 5000 }).withMessage('Content must be between 1 and 5000 characters'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const activity = await logLeadActivity({
+    lead,
+    type: req.body.type,
+    content: req.body.content,
+    metadata: req.body.metadata,
+    userId: req.user.id
+  });
+
+  if (!activity) {
+    return res.status(500).json({
+      success: false,
+      message: 'Could not save activity'
+    });
+  }
+
+  await activity.populate('createdBy', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Activity added successfully',
+    data: activity
+  });
+}));
+
+// @desc    Get follow-up tasks
+// @route   GET /api/super-admin/tasks
+// @access  Private (Super Admin only)
+router.get('/tasks', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const { status, due, lead, assignedTo, page = 1, limit = 20 } = req.query;
+
+  if (lead && !isValidObjectId(lead)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const scope = {};
+  if (assignedTo) {
+    if (!isValidObjectId(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignee ID'
+      });
+    }
+    scope.assignedTo = assignedTo;
+  }
+
+  const query = buildTaskQuery({ status, due, lead }, scope);
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await Task.countDocuments(query);
+  const tasks = await Task.find(query)
+    .populate('lead', 'firstName lastName email phone status')
+    .populate('landingPage', 'name')
+    .populate('assignedTo', 'name email')
+    .sort({ dueAt: 1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    pagination,
+    total,
+    data: tasks
+  });
+}));
+
+// @desc    Get a lead's follow-up tasks
+// @route   GET /api/super-admin/leads/:id/tasks
+// @access  Private (Super Admin only)
+router.get('/leads/:id/tasks', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const tasks = await Task.find(buildTaskQuery({ status: req.query.status, due: req.query.due }, { lead: lead._id }))
+    .populate('assignedTo', 'name email')
+    .populate('completedBy', 'name email')
+    .sort({ dueAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    data: tasks
+  });
+}));
+
+// @desc    Create a follow-up task on a lead
+// @route   POST /api/super-admin/leads/:id/tasks
+// @access  Private (Super Admin only)
+router.post('/leads/:id/tasks', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot be more than 2000 characters'),
+  body('dueAt').isISO8601().withMessage('Due date must be a valid date').toDate(),
+  body('remindAt').optional({ values: 'null' }).isISO8601().withMessage('Reminder time must be a valid date').toDate(),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const assignedTo = req.body.assignedTo || req.user.id;
+  if (!(await canAssignTask(lead.landingPage, assignedTo, req.user.id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tasks can only be assigned to yourself or a sub admin with access to the landing page'
+    });
+  }
+
+  const task = await Task.create({
+    lead: lead._id,
+    landingPage: lead.landingPage,
+    title: req.body.title,
+    description: req.body.description,
+    dueAt: req.body.dueAt,
+    remindAt: req.body.remindAt || undefined,
+    assignedTo,
+    createdBy: req.user.id
+  });
+
+  await logLeadActivity({
+    lead,
+    type: 'task',
+    content: `Created task: ${task.title}`,
+    metadata: { task: task._id, dueAt: task.dueAt, assignedTo },
+    userId: req.user.id
+  });
+
+  await task.populate('assignedTo', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Task created successfully',
+    data: task
+  });
+}));
+
+// @desc    Update, complete or reassign a task
+// @route   PUT /api/super-admin/tasks/:id
+// @access  Private (Super Admin only)
+router.put('/tasks/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot be more than 2000 characters'),
+  body('dueAt').optional().isISO8601().withMessage('Due date must be a valid date').toDate(),
+  body('remindAt').optional({ values: 'null' }).isISO8601().withMessage('Reminder time must be a valid date').toDate(),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID'),
+  body('status').optional().isIn(TASK_STATUSES).withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid task ID'
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  const { error } = await applyTaskUpdates(task, req.body, req.user.id);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await task.populate([
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'completedBy', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Task updated successfully',
+    data: task
+  });
+}));
+
+// @desc    Delete a task
+// @route   DELETE /api/super-admin/tasks/:id
+// @access  Private (Super Admin only)
+router.delete('/tasks/:id', authorizePermissions(PERMISSIONS.LEADS_EDIT), asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid task ID'
+    });
+  }
+
+  const task = await Task.findByIdAndDelete(req.params.id);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Task deleted successfully'
+  });
+}));
+
 // @desc    Upload CSV to update leads (status, lastContacted, etc.)
 // @route   POST /api/super-admin/leads/upload
 // @access  Private (Super Admin only)
-const VALID_STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
 router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), upload.single('file'), asyncHandler(async (req, res) => {
   if (!req.file || !req.file.buffer) {
     return res.status(400).json({
@@ -757,6 +1314,7 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
   const errors = [...(parseErrors || [])];
   let updated = 0;
   let failed = 0;
+  const stagesByPage = new Map();
 
   for (const row of rows) {
     if (!row._id && !row.email) {
@@ -768,8 +1326,13 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
     if (row._id) {
       lead = await Lead.findById(row._id);
     } else if (row.email) {
-      const email = row.email.trim().toLowerCase();
-      lead = await Lead.findOne({ email });
+      const match = await findLeadByEmailForImport(row.email);
+      if (match.ambiguous) {
+        errors.push(`Multiple leads match email ${row.email}; use Lead ID instead`);
+        failed++;
+        continue;
+      }
+      lead = match.lead;
     }
 
     if (!lead) {
@@ -783,8 +1346,35 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
     if (row.phone !== undefined) updates.phone = row.phone;
     if (row.company !== undefined) updates.company = row.company;
     if (row.message !== undefined) updates.message = row.message;
-    if (row.status && VALID_STATUSES.includes(row.status.toLowerCase())) {
-      updates.status = row.status.toLowerCase();
+    Object.assign(updates, pickTransitionFields(row));
+    const deal = parseDealFields(row);
+    if (deal.errors.length > 0) {
+      errors.push(`Lead ${row.email || row._id}: ${deal.errors.join(', ')}`);
+      failed++;
+      continue;
+    }
+    Object.assign(updates, deal.values);
+    if (row.status) {
+      // Status may be a stage key or label of the lead's landing page pipeline
+      const pageId = lead.landingPage.toString();
+      if (!stagesByPage.has(pageId)) {
+        stagesByPage.set(pageId, await getLandingPageStages(lead.landingPage));
+      }
+      const stages = stagesByPage.get(pageId);
+      const stage = resolveStage(stages, row.status);
+      if (!stage) {
+        errors.push(`Unknown status "${row.status}" for lead ${row.email || row._id}`);
+        failed++;
+        continue;
+      }
+      updates.status = stage.key;
+
+      const transitionError = checkStageTransition(stages, lead, stage.key, updates);
+      if (transitionError) {
+        errors.push(`Lead ${row.email || row._id}: ${transitionError.message}`);
+        failed++;
+        continue;
+      }
     }
     if (row.lastContacted) {
       const d = new Date(row.lastContacted);
@@ -794,7 +1384,10 @@ router.post('/leads/upload', authorizePermissions(PERMISSIONS.LEADS_EDIT), uploa
       failed++;
       continue;
     }
-    await Lead.findByIdAndUpdate(lead._id, updates, { runValidators: true });
+    const updatedLead = await Lead.findByIdAndUpdate(lead._id, updates, { new: true, runValidators: true });
+    await recordLeadChanges(lead, updates, { userId: req.user.id, source: 'import' });
+    await emitLeadChangeEvents(lead, updates);
+    await rescoreLead(updatedLead);
     updated++;
   }
 
@@ -816,7 +1409,9 @@ router.get('/leads/export', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncH
     landingPage, 
     search, 
     startDate, 
-    endDate 
+    endDate,
+    spam,
+    assignedTo
   } = req.query;
 
   let query = {};
@@ -859,6 +1454,13 @@ query.landingPage = landingPage;
 query.landingPage = { $in: activeLandingPageIds };
 }
 
+  // Spam leads are hidden unless requested (spam=include shows all, spam=only shows spam)
+  if (spam === 'only') {
+    query.isSpam = true;
+  } else if (spam !== 'include') {
+    query.isSpam = { $ne: true };
+  }
+
   if (search) {
     query.$or = [
       { firstName: { $regex: search, $options: 'i' } },
@@ -871,10 +1473,23 @@ query.landingPage = { $in: activeLandingPageIds };
     if (startDate) query.createdAt.$gte = new Date(startDate);
     if (endDate) query.createdAt.$lte = new Date(endDate);
   }
+  if (assignedTo === 'unassigned') {
+    query.assignedTo = null;
+  } else if (assignedTo && isValidObjectId(assignedTo)) {
+    query.assignedTo = assignedTo;
+  }
+  const scoreFilterError = applyScoreFilters(query, req.query);
+  if (scoreFilterError) {
+    return res.status(400).json({
+      success: false,
+      message: scoreFilterError
+    });
+  }
 
   const leads = await Lead.find(query)
     .populate('landingPage', 'name url')
-    .sort({ createdAt: -1 });
+    .populate('assignedTo', 'name email')
+    .sort(getLeadSort(req.query.sort));
 
   // Format data for export
   const exportData = leads.map(lead => ({
@@ -887,6 +1502,14 @@ query.landingPage = { $in: activeLandingPageIds };
     'Message': lead.message || '',
     'Landing Page': lead.landingPage?.name || '',
     'Status': lead.status,
+    'Assigned To': lead.assignedTo?.email || '',
+    'Score': lead.score ?? '',
+    'Score Bucket': lead.scoreBucket || '',
+    'Lost Reason': lead.lostReason || '',
+    'Deal Value': lead.dealValue ?? '',
+    'Currency': lead.currency || '',
+    'Expected Close Date': lead.expectedCloseDate ? lead.expectedCloseDate.toISOString() : '',
+    'Probability': lead.probability ?? '',
     'IP Address': lead.ipAddress || '',
     'Created At': lead.createdAt.toISOString()
   }));
@@ -898,6 +1521,85 @@ query.landingPage = { $in: activeLandingPageIds };
   });
 }));
 
+// @desc    List duplicate lead clusters
+// @route   GET /api/super-admin/leads/duplicates
+// @access  Private (Super Admin only)
+router.get('/leads/duplicates', authorizePermissions(PERMISSIONS.LEADS_VIEW), asyncHandler(async (req, res) => {
+  const { landingPage, page = 1, limit = 10 } = req.query;
+
+  const match = {};
+  if (landingPage) {
+    if (!isValidObjectId(landingPage)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid landing page ID'
+      });
+    }
+    match.landingPage = new mongoose.Types.ObjectId(landingPage);
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 10));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const { total, clusters } = await listDuplicateClusters(match, { skip: startIndex, limit: limitNum });
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: clusters.length,
+    pagination,
+    total,
+    data: clusters
+  });
+}));
+
+// @desc    Merge duplicate leads into a primary lead
+// @route   POST /api/super-admin/leads/:id/merge
+// @access  Private (Super Admin only)
+router.post('/leads/:id/merge', authorizePermissions(PERMISSIONS.LEADS_EDIT), [
+  body('duplicateIds').optional().isArray().withMessage('Duplicate IDs must be an array')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid lead ID'
+    });
+  }
+
+  const { error, primary, duplicates } = await loadMergeCandidates(req.params.id, req.body.duplicateIds);
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const merged = await mergeLeads(primary, duplicates, req.user.id);
+  await merged.populate('landingPage', 'name url');
+
+  res.status(200).json({
+    success: true,
+    message: `Merged ${duplicates.length} duplicate lead(s)`,
+    data: merged
+  });
+}));
+
 // @desc    Lead analytics for a landing page (or all active pages)
 // @route   GET /api/super-admin/analytics
 // @access  Private (Super Admin only)
@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Suppression = require('../models/Suppression');
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { SUPPRESSION_CHANNELS, normalizeSuppressionValue, addSuppression } = require('../utils/suppression');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(authorize('super_admin'));
+
+// @desc    Get the suppression list
+// @route   GET /api/suppressions
+// @access  Private (Super Admin only)
+router.get('/', asyncHandler(async (req, res) => {
+  const { channel, search, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (channel && SUPPRESSION_CHANNELS.includes(channel)) {
+    query.channel = channel;
+  }
+  if (search && typeof search === 'string') {
+    query.value = { $regex: search.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await Suppression.countDocuments(query);
+  const suppressions = await Suppression.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: suppressions.length,
+    pagination,
+    total,
+    data: suppressions
+  });
+}));
+
+// @desc    Check whether an email or phone number is suppressed
+// @route   GET /api/suppressions/check?channel=&value=
+// @access  Private (Super Admin only)
+router.get('/check', asyncHandler(async (req, res) => {
+  const { channel, value } = req.query;
+  const normalized = SUPPRESSION_CHANNELS.includes(channel) ? normalizeSuppressionValue(channel, value) : null;
+  if (!normalized) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a channel (email or phone) and a valid value'
+    });
+  }
+
+  const suppression = await Suppression.findOne({ channel, value: normalized });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      channel,
+      value: normalized,
+      suppressed: Boolean(suppression),
+      suppression
+    }
+  });
+}));
+
+// @desc    Add an email or phone number to the suppression list
+// @route   POST /api/suppressions
+// @access  Private (Super Admin only)
+router.post('/', [
+  body('channel').isIn(SUPPRESSION_CHANNELS).withMessage(`Channel must be one of: ${SUPPRESSION_CHANNELS.join(', ')}`),
+  body('value').isString().trim().notEmpty().withMessage('Value is required'),
+  body('value').if(body('channel').equals('email')).isEmail().withMessage('Please provide a valid email'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { channel, value, note } = req.body;
+  const suppression = await addSuppression({
+    channel,
+    value,
+    reason: 'manual',
+    note,
+    createdBy: req.user.id
+  });
+  if (!suppression) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid phone number in international format'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to the suppression list',
+    data: suppression
+  });
+}));
+
+// @desc    Remove an entry from the suppression list (messages are sent again)
+// @route   DELETE /api/suppressions/:id
+// @access  Private (Super Admin only)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid suppression ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const suppression = await Suppression.findByIdAndDelete(req.params.id);
+  if (!suppression) {
+    return res.status(404).json({
+      success: false,
+      message: 'Suppression not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from the suppression list'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { escapeHtml } = require('../utils/email');
+const { verifyUnsubscribeToken, addSuppression } = require('../utils/suppression');
+
+const router = express.Router();
+
+// Minimal page for people who open the link in a browser; `body` is trusted HTML
+function renderPage(title, message, body = '') {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #111827; max-width: 480px; margin: 64px auto; padding: 0 16px;">
+  <h1 style="font-size: 20px;">${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${body}
+</body>
+</html>`;
+}
+
+function renderInvalidLink(res) {
+  return res.status(400).type('html').send(
+    renderPage('Invalid link', 'This unsubscribe link is invalid. Please use the link from your most recent email.')
+  );
+}
+
+// @desc    Confirmation page for the link in an auto-reply or sequence email. It changes nothing:
+//          mail scanners and link prefetchers open links with GET, so only the button's POST unsubscribes
+// @route   GET /api/unsubscribe?token=
+// @access  Public (signed token)
+router.get('/', (req, res) => {
+  const data = verifyUnsubscribeToken(req.query.token);
+  if (!data) {
+    return renderInvalidLink(res);
+  }
+
+  const form = `<form method="post" action="?token=${escapeHtml(encodeURIComponent(req.query.token))}">
+    <button type="submit" style="font-size: 16px; padding: 8px 16px; cursor: pointer;">Unsubscribe</button>
+  </form>`;
+  res.status(200).type('html').send(
+    renderPage('Unsubscribe', `Stop sending emails to ${data.email}?`, form)
+  );
+});
+
+// @desc    Unsubscribe: the confirmation page's button, or one-click unsubscribe from mail clients
+//          (List-Unsubscribe-Post, RFC 8058)
+// @route   POST /api/unsubscribe?token=
+// @access  Public (signed token)
+router.post('/', asyncHandler(async (req, res) => {
+  const data = verifyUnsubscribeToken(req.query.token || req.body.token);
+  const suppression = data && await addSuppression({
+    channel: 'email',
+    value: data.email,
+    reason: 'unsubscribed',
+    lead: data.lead
+  });
+  // The confirmation page's form asks for HTML; mail clients and API callers get JSON
+  const wantsPage = req.accepts(['json', 'html']) === 'html';
+
+  if (!suppression) {
+    if (wantsPage) {
+      return renderInvalidLink(res);
+    }
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid unsubscribe token'
+    });
+  }
+
+  if (wantsPage) {
+    return res.status(200).type('html').send(
+      renderPage('You have been unsubscribed', `${suppression.value} will no longer receive emails from us.`)
+    );
+  }
+  res.status(200).json({
+    success: true,
+    message: 'Unsubscribed successfully'
+  });
+}));
+
+module.exports = router;
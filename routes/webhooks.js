@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const LandingPage = require('../models/LandingPage');
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { WEBHOOK_EVENTS, generateWebhookSecret, sendTestEvent, redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(authorize('super_admin'));
+
+const webhookValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    field('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Please provide a valid http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('landingPage').optional({ values: 'null' }).isMongoId().withMessage('Invalid landing page ID'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Webhook as returned to clients; the secret is only included when it was just generated
+function toResponse(webhook, secret) {
+  const data = webhook.toObject();
+  delete data.secret;
+  if (secret) {
+    data.secret = secret;
+  }
+  return data;
+}
+
+// @desc    Get all webhooks
+// @route   GET /api/webhooks
+// @access  Private (Super Admin only)
+router.get('/', asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .populate('landingPage', 'name url')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: webhooks.length,
+    events: WEBHOOK_EVENTS,
+    data: webhooks
+  });
+}));
+
+// @desc    Get a webhook delivery with all attempts
+// @route   GET /api/webhooks/deliveries/:id
+// @access  Private (Super Admin only)
+router.get('/deliveries/:id', [
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const delivery = await WebhookDelivery.findById(req.params.id).populate('webhook', 'name url');
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// @desc    Send a delivery's payload again as a new delivery
+// @route   POST /api/webhooks/deliveries/:id/redeliver
+// @access  Private (Super Admin only)
+router.post('/deliveries/:id/redeliver', [
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const delivery = await WebhookDelivery.findById(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  const copy = await redeliver(delivery);
+  if (!copy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: copy.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery queued for retry',
+    data: copy
+  });
+}));
+
+// @desc    Get single webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (Super Admin only)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id)
+    .populate('landingPage', 'name url')
+    .populate('createdBy', 'name email');
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: webhook
+  });
+}));
+
+// @desc    Create webhook
+// @route   POST /api/webhooks
+// @access  Private (Super Admin only)
+router.post('/', webhookValidators(false), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { name, url, events, landingPage, isActive } = req.body;
+
+  if (landingPage && !(await LandingPage.exists({ _id: landingPage }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    name,
+    url,
+    events: [...new Set(events)],
+    landingPage: landingPage || undefined,
+    isActive,
+    secret,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created successfully. Store the secret now; it is not shown again.',
+    data: toResponse(webhook, secret)
+  });
+}));
+
+// @desc    Update webhook (send `rotateSecret: true` for a new signing secret)
+// @route   PUT /api/webhooks/:id
+// @access  Private (Super Admin only)
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  ...webhookValidators(true),
+  body('rotateSecret').optional().isBoolean().withMessage('rotateSecret must be true or false')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const { name, url, events, landingPage, isActive, rotateSecret } = req.body;
+
+  if (landingPage && !(await LandingPage.exists({ _id: landingPage }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Landing page not found'
+    });
+  }
+
+  if (name !== undefined) webhook.name = name;
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (landingPage !== undefined) webhook.landingPage = landingPage || undefined;
+  if (isActive !== undefined) webhook.isActive = isActive;
+
+  let secret;
+  if (rotateSecret === true || rotateSecret === 'true') {
+    secret = generateWebhookSecret();
+    webhook.secret = secret;
+  }
+
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: toResponse(webhook, secret)
+  });
+}));
+
+// @desc    Delete webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (Super Admin only)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await Webhook.findByIdAndDelete(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook deleted successfully'
+  });
+}));
+
+// @desc    Get a webhook's delivery log
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (Super Admin only)
+router.get('/:id/deliveries', [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { status, event, page = 1, limit = 20 } = req.query;
+  const query = { webhook: req.params.id };
+  if (status) {
+    query.status = status;
+  }
+  if (event) {
+    query.event = event;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const startIndex = (pageNum - 1) * limitNum;
+
+  const total = await WebhookDelivery.countDocuments(query);
+  const deliveries = await WebhookDelivery.find(query)
+    .select('-history')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limitNum);
+
+  const pagination = {};
+  if (startIndex + limitNum < total) {
+    pagination.next = { page: pageNum + 1, limit: limitNum };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNum - 1, limit: limitNum };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    pagination,
+    total,
+    data: deliveries
+  });
+}));
+
+// @desc    Send a test event to a webhook
+// @route   POST /api/webhooks/:id/test
+// @access  Private (Super Admin only)
+router.post('/:id/test', [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const delivery = await sendTestEvent(webhook, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: delivery.status === 'succeeded'
+      ? 'Test event delivered'
+      : `Test event failed: ${delivery.lastError || 'unknown error'}`,
+    data: delivery
+  });
+}));
+
+module.exports = router;
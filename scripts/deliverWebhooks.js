@@ -0,0 +1,30 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const connectDB = require('../config/database');
+const { processDueDeliveries } = require('../utils/webhooks');
+
+// Retry webhook deliveries whose backoff has elapsed. Schedule it (e.g. every 5 minutes)
+// when not deploying to Vercel, where /api/cron/webhooks runs instead.
+const run = async () => {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  try {
+    const result = await processDueDeliveries();
+    console.log('Webhook deliveries:', result);
+  } catch (error) {
+    console.error('Webhook delivery sweep failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,56 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const connectDB = require('../config/database');
+const { drainJobs } = require('../utils/jobQueue');
+// Registers the auto-reply, drip sequence, new-lead notification and lead rescoring job handlers
+require('../utils/leadAutoReply');
+require('../utils/sequences');
+require('../utils/leadNotifications');
+require('../utils/leadScoring');
+
+// Processes the background job queue. Runs until stopped (SIGINT/SIGTERM), polling every
+// JOB_WORKER_POLL_MS (default 5000); pass --once to drain the queue a single time and exit.
+// On Vercel the /api/cron/jobs endpoint does this instead.
+const POLL_MS = Number(process.env.JOB_WORKER_POLL_MS) || 5000;
+const once = process.argv.includes('--once');
+
+let stopping = false;
+const stop = () => {
+  stopping = true;
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const run = async () => {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  try {
+    do {
+      const result = await drainJobs({ limit: 500, timeBudgetMs: 60 * 1000 });
+      if (result.processed > 0 || once) {
+        console.log('Jobs:', result);
+      }
+      // Keep going while jobs are due; wait when the queue is empty
+      if (!once && !stopping && result.processed === 0) {
+        await sleep(POLL_MS);
+      }
+    } while (!once && !stopping);
+  } catch (error) {
+    console.error('Job worker failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,33 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const connectDB = require('../config/database');
+const { sendDueLeadDigests } = require('../utils/leadNotifications');
+
+// Hourly and daily new-lead digests for sub admins. Schedule it every hour when not deploying
+// to Vercel, where /api/cron/lead-digests runs instead.
+const run = async () => {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  try {
+    const result = await sendDueLeadDigests();
+    if (!result.emailConfigured) {
+      console.log('SMTP is not configured; no digests sent');
+    }
+    console.log('Lead digests:', result);
+  } catch (error) {
+    console.error('Lead digest run failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,33 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const connectDB = require('../config/database');
+const { sendDueTaskReminders } = require('../utils/taskReminders');
+
+// Email reminders for follow-up tasks that are due. Schedule it (e.g. every 15 minutes)
+// when not deploying to Vercel, where /api/cron/task-reminders runs instead.
+const run = async () => {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  try {
+    const result = await sendDueTaskReminders();
+    if (!result.emailConfigured) {
+      console.log('SMTP is not configured; reminders were only sent in-app');
+    }
+    console.log('Task reminders:', result);
+  } catch (error) {
+    console.error('Task reminder sweep failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
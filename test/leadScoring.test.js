@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeLeadScore, validateScoringRules } = require('../utils/leadScoring');
+
+const thresholds = { hotThreshold: 70, warmThreshold: 40 };
+
+function scoringPage(rules, settings = {}) {
+  return {
+    leadScoring: { enabled: true, ...thresholds, rules, ...settings },
+    formFields: [{ name: 'budget' }, { name: 'timeline' }, { name: 'teamSize' }, { name: 'notes' }]
+  };
+}
+
+test('computeLeadScore returns null when scoring is off', () => {
+  assert.strictEqual(computeLeadScore({ leadScoring: { enabled: false } }, { email: 'a@acme.com' }), null);
+  assert.strictEqual(computeLeadScore({}, { email: 'a@acme.com' }), null);
+});
+
+test('computeLeadScore adds the points of matching rules', () => {
+  const page = scoringPage([
+    { type: 'email_domain', value: 'business', points: 30 },
+    { type: 'field_value', field: 'budget', operator: 'gte', value: 10000, points: 25, label: 'Big budget' },
+    { type: 'source', value: ['google', 'linkedin'], points: 10 },
+    { type: 'device_type', value: 'mobile', points: 5 }
+  ]);
+  const result = computeLeadScore(page, {
+    email: 'jane@acme.com',
+    source: 'LinkedIn',
+    dynamicFields: new Map([['budget', '15000'], ['deviceType', 'desktop']])
+  });
+
+  assert.strictEqual(result.score, 65);
+  assert.strictEqual(result.scoreBucket, 'warm');
+  assert.deepStrictEqual(result.scoreBreakdown, [
+    { rule: 'email domain business', points: 30 },
+    { rule: 'Big budget', points: 25 },
+    { rule: 'source google, linkedin', points: 10 }
+  ]);
+});
+
+test('computeLeadScore subtracts negative points and clamps to 0-100', () => {
+  const page = scoringPage([
+    { type: 'email_domain', value: ['free', 'disposable'], points: -50 },
+    { type: 'field_value', field: 'phone', operator: 'exists', points: 20 }
+  ]);
+
+  assert.strictEqual(computeLeadScore(page, { email: 'x@mailinator.com', phone: '555' }).score, 0);
+  assert.strictEqual(computeLeadScore(page, { email: 'x@mailinator.com', phone: '555' }).scoreBucket, 'cold');
+
+  const generous = scoringPage([
+    { type: 'email_domain', value: 'business', points: 80 },
+    { type: 'field_value', field: 'phone', operator: 'exists', points: 80 }
+  ]);
+  assert.strictEqual(computeLeadScore(generous, { email: 'x@acme.com', phone: '555' }).score, 100);
+});
+
+test('computeLeadScore scales completeness by the filled form fields', () => {
+  const page = scoringPage([{ type: 'completeness', points: 40 }]);
+  const result = computeLeadScore(page, { dynamicFields: { budget: '10', timeline: 'Q3', notes: ' ' } });
+
+  assert.strictEqual(result.score, 20);
+  assert.deepStrictEqual(result.scoreBreakdown, [{ rule: 'Form completeness', points: 20 }]);
+});
+
+test('computeLeadScore matches geo rules against parts of the location', () => {
+  const page = scoringPage([{ type: 'geo', value: ['germany', 'austria'], points: 15 }]);
+
+  assert.strictEqual(computeLeadScore(page, { dynamicFields: { geoLocation: 'Berlin, Germany' } }).score, 15);
+  assert.strictEqual(computeLeadScore(page, { dynamicFields: { geoLocation: 'East Germany Road, USA' } }).score, 0);
+});
+
+test('computeLeadScore buckets by the page thresholds', () => {
+  const page = scoringPage([{ type: 'email_domain', value: 'business', points: 50 }], { hotThreshold: 50, warmThreshold: 20 });
+
+  assert.strictEqual(computeLeadScore(page, { email: 'a@acme.com' }).scoreBucket, 'hot');
+  assert.strictEqual(computeLeadScore(page, { email: 'a@gmail.com' }).scoreBucket, 'cold');
+});
+
+test('validateScoringRules accepts a valid rule set', () => {
+  const rules = [
+    { type: 'field_value', field: 'budget', operator: 'gte', value: 1000, points: 20 },
+    { type: 'field_value', field: 'phone', operator: 'exists', points: 5 },
+    { type: 'email_domain', value: ['business'], points: 10 },
+    { type: 'geo', value: 'Germany', points: 5 },
+    { type: 'completeness', points: 30 }
+  ];
+
+  assert.strictEqual(validateScoringRules(rules, thresholds), null);
+  assert.strictEqual(validateScoringRules([], thresholds), null);
+});
+
+test('validateScoringRules rejects thresholds out of order', () => {
+  assert.match(validateScoringRules([], { hotThreshold: 40, warmThreshold: 40 }), /warm threshold must be below/);
+});
+
+test('validateScoringRules reports the first invalid rule', () => {
+  const invalid = [
+    [{ type: 'age', points: 5 }, /index 1 needs a type/],
+    [{ type: 'source', value: 'google', points: '5' }, /needs numeric points/],
+    [{ type: 'source', value: { any: 1 }, points: 5 }, /value must be a string, number, boolean/],
+    [{ type: 'field_value', operator: 'equals', value: 'x', points: 5 }, /needs a field/],
+    [{ type: 'field_value', field: 'budget', operator: 'between', value: 1, points: 5 }, /invalid operator/],
+    [{ type: 'field_value', field: 'budget', points: 5 }, /needs a value/],
+    [{ type: 'email_domain', value: 'corporate', points: 5 }, /needs an email domain type/],
+    [{ type: 'device_type', value: '', points: 5 }, /needs a value/]
+  ];
+
+  for (const [rule, message] of invalid) {
+    assert.match(validateScoringRules([{ type: 'completeness', points: 10 }, rule], thresholds), message);
+  }
+  assert.match(validateScoringRules([{ type: 'age', points: 5 }], thresholds), /index 0/);
+  assert.strictEqual(validateScoringRules('rules', thresholds), 'Rules must be an array');
+});
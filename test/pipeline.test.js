@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getPipelineStages, checkStageTransition } = require('../utils/pipeline');
+
+const stages = getPipelineStages({
+  pipelineStages: [
+    { key: 'new', label: 'New', order: 0, allowedNext: ['contacted', 'lost'] },
+    { key: 'contacted', label: 'Contacted', order: 1 },
+    { key: 'won', label: 'Won', order: 2, isWon: true, requiredFields: ['dealValue'] },
+    { key: 'lost', label: 'Lost', order: 3, isLost: true, requiredFields: ['lostReason'] }
+  ]
+});
+
+test('checkStageTransition allows a move listed in allowedNext', () => {
+  assert.strictEqual(checkStageTransition(stages, { status: 'new' }, 'contacted'), null);
+});
+
+test('checkStageTransition refuses a move missing from allowedNext', () => {
+  const error = checkStageTransition(stages, { status: 'new' }, 'won', { dealValue: 100 });
+
+  assert.match(error.message, /Cannot move lead from "new" to "won"/);
+  assert.deepStrictEqual(error.allowedTransitions, ['contacted', 'lost']);
+});
+
+test('checkStageTransition allows any other stage when allowedNext is empty', () => {
+  assert.strictEqual(checkStageTransition(stages, { status: 'contacted' }, 'new'), null);
+  assert.strictEqual(checkStageTransition(stages, { status: 'contacted' }, 'won', { dealValue: 100 }), null);
+});
+
+test('checkStageTransition rejects unknown stages', () => {
+  const error = checkStageTransition(stages, { status: 'new' }, 'archived');
+
+  assert.match(error.message, /Invalid status "archived"/);
+});
+
+test('checkStageTransition always allows staying in the same stage', () => {
+  assert.strictEqual(checkStageTransition(stages, { status: 'won' }, 'won'), null);
+});
+
+test('checkStageTransition lets a lead in a removed stage move anywhere', () => {
+  assert.strictEqual(checkStageTransition(stages, { status: 'qualified' }, 'contacted'), null);
+});
+
+test('checkStageTransition requires the target stage\'s fields', () => {
+  const error = checkStageTransition(stages, { status: 'new' }, 'lost');
+
+  assert.deepStrictEqual(error.missingFields, ['lostReason']);
+  assert.strictEqual(checkStageTransition(stages, { status: 'new' }, 'lost', { lostReason: '   ' }).missingFields[0], 'lostReason');
+});
+
+test('checkStageTransition reads required fields from updates, the lead and dynamic fields', () => {
+  const toWon = (lead, updates) => checkStageTransition(stages, { status: 'contacted', ...lead }, 'won', updates);
+
+  assert.strictEqual(toWon({}, { dealValue: 0 }), null);
+  assert.strictEqual(toWon({ dealValue: 250 }), null);
+  assert.strictEqual(toWon({ dynamicFields: new Map([['dealValue', '250']]) }), null);
+  assert.strictEqual(toWon({}, { dynamicFields: { dealValue: '250' } }), null);
+  assert.deepStrictEqual(toWon({ dealValue: 250 }, { dealValue: null }).missingFields, ['dealValue']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDealFields } = require('../utils/revenueAnalytics');
+
+test('parseDealFields parses CSV deal values', () => {
+  const { values, errors } = parseDealFields({
+    dealValue: '12,500.50',
+    currency: ' eur ',
+    expectedCloseDate: '2026-03-31',
+    probability: '40%'
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(values, {
+    dealValue: 12500.5,
+    currency: 'EUR',
+    expectedCloseDate: new Date('2026-03-31'),
+    probability: 40
+  });
+});
+
+test('parseDealFields only returns the fields present in the row', () => {
+  assert.deepStrictEqual(parseDealFields({ dealValue: '0' }), { values: { dealValue: 0 }, errors: [] });
+  assert.deepStrictEqual(parseDealFields({}), { values: {}, errors: [] });
+});
+
+test('parseDealFields reports invalid values and skips them', () => {
+  const { values, errors } = parseDealFields({
+    dealValue: '-5',
+    currency: 'EURO',
+    expectedCloseDate: 'next week',
+    probability: '120'
+  });
+
+  assert.deepStrictEqual(values, {});
+  assert.deepStrictEqual(errors, [
+    'invalid deal value "-5"',
+    'invalid currency "EURO"',
+    'invalid expected close date "next week"',
+    'invalid probability "120"'
+  ]);
+});
+
+test('parseDealFields keeps valid fields next to invalid ones', () => {
+  const { values, errors } = parseDealFields({ dealValue: 'abc', currency: 'usd' });
+
+  assert.deepStrictEqual(values, { currency: 'USD' });
+  assert.deepStrictEqual(errors, ['invalid deal value "abc"']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LEAD_FORM_TOKEN_SECRET = 'test-secret';
+
+const { createFormToken, verifyFormToken } = require('../utils/spamProtection');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('verifyFormToken accepts a fresh token for its trackingKey', () => {
+  const token = createFormToken('page-key');
+  const [issuedAt, nonce] = token.split('.');
+
+  assert.deepStrictEqual(verifyFormToken(token, 'page-key'), { issuedAt: Number(issuedAt), nonce });
+});
+
+test('verifyFormToken rejects a token issued for another trackingKey', () => {
+  assert.strictEqual(verifyFormToken(createFormToken('page-key'), 'other-key'), null);
+});
+
+test('verifyFormToken rejects tampered tokens', () => {
+  const [issuedAt, nonce, signature] = createFormToken('page-key').split('.');
+
+  assert.strictEqual(verifyFormToken(`${Number(issuedAt) + 1}.${nonce}.${signature}`, 'page-key'), null);
+  assert.strictEqual(verifyFormToken(`${issuedAt}.${nonce}0.${signature}`, 'page-key'), null);
+  assert.strictEqual(verifyFormToken(`${issuedAt}.${nonce}.${signature.slice(1)}`, 'page-key'), null);
+});
+
+test('verifyFormToken rejects malformed tokens', () => {
+  for (const token of [undefined, null, '', 42, 'abc', 'abc.def.ghi', '123.nonce']) {
+    assert.strictEqual(verifyFormToken(token, 'page-key'), null);
+  }
+});
+
+test('verifyFormToken rejects tokens older than two hours', (t) => {
+  const token = createFormToken('page-key');
+  const issuedAt = Number(token.split('.')[0]);
+
+  t.mock.method(Date, 'now', () => issuedAt + 2 * HOUR_MS - 1000);
+  assert.notStrictEqual(verifyFormToken(token, 'page-key'), null);
+
+  Date.now.mock.mockImplementation(() => issuedAt + 2 * HOUR_MS + 1000);
+  assert.strictEqual(verifyFormToken(token, 'page-key'), null);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateTotp, verifyTotp } = require('../utils/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+const NOW = 1111111109 * 1000;
+const CURRENT_STEP = Math.floor(NOW / STEP_MS);
+
+test('generateTotp matches the RFC 6238 SHA-1 test vectors', () => {
+  assert.strictEqual(generateTotp(SECRET, 59 * 1000), '287082');
+  assert.strictEqual(generateTotp(SECRET, 1111111109 * 1000), '081804');
+  assert.strictEqual(generateTotp(SECRET, 1234567890 * 1000), '005924');
+});
+
+test('verifyTotp returns the matched step for the current code', () => {
+  assert.strictEqual(verifyTotp(SECRET, '081804', { now: NOW }), CURRENT_STEP);
+  assert.strictEqual(verifyTotp(SECRET, '081 804', { now: NOW }), CURRENT_STEP);
+});
+
+test('verifyTotp accepts codes one step before or after now', () => {
+  const previous = generateTotp(SECRET, NOW - STEP_MS);
+  const next = generateTotp(SECRET, NOW + STEP_MS);
+
+  assert.strictEqual(verifyTotp(SECRET, previous, { now: NOW }), CURRENT_STEP - 1);
+  assert.strictEqual(verifyTotp(SECRET, next, { now: NOW }), CURRENT_STEP + 1);
+});
+
+test('verifyTotp rejects codes two steps away', () => {
+  assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, NOW - 2 * STEP_MS), { now: NOW }), null);
+  assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, NOW + 2 * STEP_MS), { now: NOW }), null);
+});
+
+test('verifyTotp does not accept a step at or before afterStep again', () => {
+  const previous = generateTotp(SECRET, NOW - STEP_MS);
+
+  assert.strictEqual(verifyTotp(SECRET, '081804', { now: NOW, afterStep: CURRENT_STEP }), null);
+  assert.strictEqual(verifyTotp(SECRET, previous, { now: NOW, afterStep: CURRENT_STEP - 1 }), null);
+  assert.strictEqual(verifyTotp(SECRET, '081804', { now: NOW, afterStep: CURRENT_STEP - 1 }), CURRENT_STEP);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+  for (const code of [undefined, '', '81804', '0818040', '08180a', 'abcdef']) {
+    assert.strictEqual(verifyTotp(SECRET, code, { now: NOW }), null);
+  }
+});
@@ -0,0 +1,172 @@
+/**
+ * Access and refresh tokens. Logins get a short-lived JWT access token (JWT_EXPIRE, default 15m)
+ * and an opaque refresh token (REFRESH_TOKEN_EXPIRE_DAYS, default 30) that is stored hashed in
+ * `RefreshToken`. Each refresh rotates the refresh token: the old one is revoked and a new one
+ * issued in the same family. Presenting a revoked token again means it was stolen or replayed, so
+ * the whole family is revoked.
+ *
+ * Both kinds of token carry the user's `tokenVersion`; bumping it (password change, role change,
+ * rejection, 2FA enrollment, "log out everywhere") ends every session of the user.
+ *
+ * Steps before a session exists (the 2FA code after a password, 2FA setup required by policy) use
+ * short-lived purpose tokens that `protect` does not accept as access tokens. The lead stream uses
+ * one too, so EventSource can pass it in the URL instead of an access token.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRefreshTokenTtlMs() {
+  return (Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * DAY_MS;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createRefreshToken(user, req, family) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt,
+    createdByIp: req && req.ip,
+    userAgent: req && req.get('User-Agent')
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Issue an access token and a new refresh token (a new session) for a user.
+ * @param {object} user - User document
+ * @param {object} [req] - Request, to record the client's IP and user agent
+ * @returns {Promise<{ token: string, refreshToken: string, refreshTokenExpiresAt: Date }>}
+ */
+async function issueAuthTokens(user, req) {
+  const refresh = await createRefreshToken(user, req);
+  return {
+    token: user.getSignedJwtToken(),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+}
+
+/**
+ * Sign a short-lived token for one step of the login flow, or for opening the lead stream.
+ * @param {object} user
+ * @param {'2fa_login'|'2fa_setup'|'lead_stream'} purpose
+ * @param {string} expiresIn - e.g. '5m'
+ */
+function createPurposeToken(user, purpose, expiresIn) {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, purpose }, process.env.JWT_SECRET, { expiresIn });
+}
+
+/**
+ * @returns {Promise<object|null>} the token's user if the token is valid for this purpose
+ */
+async function verifyPurposeToken(token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+
+  const user = await User.findById(decoded.id);
+  return user && (user.tokenVersion || 0) === (decoded.tv || 0) ? user : null;
+}
+
+function revokeFamily(family, reason) {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @param {string} token - Refresh token from the client
+ * @param {object} [req]
+ * @returns {Promise<{ user: object, tokens: object }|{ error: string }>}
+ */
+async function rotateRefreshToken(token, req) {
+  if (!token || typeof token !== 'string') {
+    return { error: 'Refresh token is required' };
+  }
+
+  const tokenHash = hashToken(token);
+  // Claim the token atomically so two refreshes cannot both rotate it
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!record) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (used && used.revokedReason === 'rotated') {
+      await revokeFamily(used.family, 'reuse_detected');
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || (user.tokenVersion || 0) !== record.tokenVersion) {
+    return { error: 'Session has been revoked. Please log in again' };
+  }
+  if (user.role === 'sub_admin' && user.status !== 'approved') {
+    return { error: 'Your account is pending approval or has been rejected' };
+  }
+
+  const refresh = await createRefreshToken(user, req, record.family);
+  return {
+    user,
+    tokens: {
+      token: user.getSignedJwtToken(),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt
+    }
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to.
+ * @returns {Promise<object|null>} the token's record, or null when unknown
+ */
+async function revokeRefreshToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (record) {
+    await revokeFamily(record.family, 'logout');
+  }
+  return record;
+}
+
+/**
+ * End every session of a user: access tokens stop working at once and refresh tokens are revoked.
+ */
+async function revokeUserSessions(userId) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+}
+
+module.exports = {
+  issueAuthTokens,
+  createPurposeToken,
+  verifyPurposeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,201 @@
+/**
+ * Per-landing-page auto-reply templates (`LandingPage.autoReplyTemplates`).
+ *
+ * Templates use `{{placeholder}}` or `{{placeholder|fallback}}`. Placeholders are the default
+ * lead fields (firstName, lastName, email, phone, company, message), `name` (full name),
+ * `landingPageName`, `landingPageUrl`, and any `dynamicFields` key, either directly
+ * (`{{budget}}`) or as `{{dynamicFields.budget}}`. Unknown placeholders render as the fallback
+ * or an empty string. Values are HTML-escaped in the email HTML; subjects are kept on one line.
+ */
+const { escapeHtml } = require('./email');
+const { DEFAULT_FIELD_NAMES, getFieldDefinitions } = require('./formValidation');
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z0-9_.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const DEFAULT_TEMPLATES = Object.freeze({
+  email: {
+    subject: 'Thanks for contacting us',
+    html: `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
+      <p>Hi {{name|there}},</p>
+      <p>Thank you for submitting your details about {{landingPageName}}. We have received your request and our team will get back to you shortly.</p>
+      <p>If you did not submit this form, you can ignore this message.</p>
+      <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
+    </div>
+  `,
+    text: 'Hi {{name|there}},\n\n' +
+      'Thank you for submitting your details about {{landingPageName}}. We have received your request ' +
+      'and our team will get back to you shortly.\n\n' +
+      'If you did not submit this form, you can ignore this message.\n\nBest regards,\nThe Team'
+  },
+  whatsapp: {
+    body: 'Hi {{name|there}}, thanks for contacting us about {{landingPageName}}. ' +
+      'We have received your details and will get back to you shortly.'
+  }
+});
+
+// Lead values used when previewing without a real lead
+const SAMPLE_LEAD = Object.freeze({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane.doe@example.com',
+  phone: '+1 555 0100',
+  company: 'Example Inc.',
+  message: 'I would like to know more.'
+});
+
+function getDefaultTemplates() {
+  return {
+    email: {
+      ...DEFAULT_TEMPLATES.email,
+      subject: process.env.LEAD_AUTO_REPLY_EMAIL_SUBJECT || DEFAULT_TEMPLATES.email.subject
+    },
+    whatsapp: { ...DEFAULT_TEMPLATES.whatsapp }
+  };
+}
+
+function toPlain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : (value || {});
+}
+
+/**
+ * Templates in effect for a landing page: its own parts, defaults for the rest.
+ * A custom HTML body without a text body sends no text part rather than the default text.
+ */
+function getAutoReplyTemplates(landingPage) {
+  const custom = toPlain(landingPage && landingPage.autoReplyTemplates);
+  const email = toPlain(custom.email);
+  const whatsapp = toPlain(custom.whatsapp);
+  const defaults = getDefaultTemplates();
+
+  return {
+    email: {
+      subject: email.subject || defaults.email.subject,
+      html: email.html || defaults.email.html,
+      text: email.text || (email.html ? '' : defaults.email.text)
+    },
+    whatsapp: {
+      body: whatsapp.body || defaults.whatsapp.body
+    }
+  };
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Placeholder values for a lead (document or plain object) on a landing page.
+ */
+function buildTemplateVariables(lead, landingPage) {
+  const source = toPlain(lead);
+  const variables = {};
+
+  const dynamicFields = source.dynamicFields instanceof Map
+    ? Object.fromEntries(source.dynamicFields)
+    : (source.dynamicFields || {});
+  for (const [key, value] of Object.entries(dynamicFields)) {
+    variables[key] = stringify(value);
+    variables[`dynamicFields.${key}`] = stringify(value);
+  }
+
+  for (const field of DEFAULT_FIELD_NAMES) {
+    variables[field] = stringify(source[field]);
+  }
+  variables.name = [source.firstName, source.lastName].filter(Boolean).join(' ');
+  variables.landingPageName = stringify(landingPage && landingPage.name);
+  variables.landingPageUrl = stringify(landingPage && landingPage.url);
+
+  return variables;
+}
+
+/**
+ * Replace placeholders in a template.
+ * @param {string} template
+ * @param {object} variables - from buildTemplateVariables
+ * @param {{ html?: boolean, singleLine?: boolean }} [opts] - html escapes values; singleLine strips line breaks
+ */
+function renderTemplate(template, variables, { html = false, singleLine = false } = {}) {
+  let output = (template || '').replace(PLACEHOLDER_REGEX, (match, key, fallback) => {
+    let value = variables[key];
+    if (value === undefined || value === '') {
+      value = fallback !== undefined ? fallback.trim() : '';
+    }
+    if (singleLine) {
+      value = value.replace(/[\r\n]+/g, ' ');
+    }
+    return html ? escapeHtml(value) : value;
+  });
+
+  if (singleLine) {
+    output = output.replace(/[\r\n]+/g, ' ').trim();
+  }
+  return output;
+}
+
+/**
+ * Render the email and WhatsApp auto-replies for a lead.
+ * @param {object} landingPage - with name, url, autoReplyTemplates
+ * @param {object} lead
+ * @param {object} [templates] - Templates to use instead of the page's (previews of unsaved edits)
+ * @returns {{ email: { subject: string, html: string, text: string }, whatsapp: { body: string } }}
+ */
+function renderAutoReplies(landingPage, lead, templates = getAutoReplyTemplates(landingPage)) {
+  const variables = buildTemplateVariables(lead, landingPage);
+
+  return {
+    email: {
+      subject: renderTemplate(templates.email.subject, variables, { singleLine: true }),
+      html: renderTemplate(templates.email.html, variables, { html: true }),
+      text: renderTemplate(templates.email.text, variables)
+    },
+    whatsapp: {
+      body: renderTemplate(templates.whatsapp.body, variables)
+    }
+  };
+}
+
+/**
+ * A sample lead for previews, with a placeholder value for each of the page's form fields.
+ * @param {object} landingPage
+ * @param {object} [overrides] - Lead values to use instead of the samples
+ */
+function buildSampleLead(landingPage, overrides = {}) {
+  const dynamicFields = {};
+  for (const field of getFieldDefinitions(landingPage)) {
+    if (!field.isDefault) {
+      dynamicFields[field.name] = `Sample ${field.label || field.name}`;
+    }
+  }
+
+  const { dynamicFields: dynamicOverrides, ...fieldOverrides } = overrides;
+  return {
+    ...SAMPLE_LEAD,
+    ...fieldOverrides,
+    dynamicFields: { ...dynamicFields, ...(dynamicOverrides || {}) }
+  };
+}
+
+/**
+ * Placeholders available on a landing page, for template editors.
+ */
+function listPlaceholders(landingPage) {
+  const dynamic = getFieldDefinitions(landingPage)
+    .filter((field) => !field.isDefault)
+    .map((field) => field.name);
+  return ['name', ...DEFAULT_FIELD_NAMES, 'landingPageName', 'landingPageUrl', ...dynamic];
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  getAutoReplyTemplates,
+  buildTemplateVariables,
+  renderTemplate,
+  renderAutoReplies,
+  buildSampleLead,
+  listPlaceholders
+};
@@ -39,6 +39,14 @@ const HEADER_MAP = {
   phone: 'phone',
   company: 'company',
   message: 'message',
+  'lost reason': 'lostReason',
+  lostreason: 'lostReason',
+  'deal value': 'dealValue',
+  dealvalue: 'dealValue',
+  currency: 'currency',
+  'expected close date': 'expectedCloseDate',
+  expectedclosedate: 'expectedCloseDate',
+  probability: 'probability',
 };
 
 function normalizeHeader(header) {
@@ -1,8 +1,11 @@
 /**
- * Transactional email for lead auto-replies.
+ * Transactional email for lead auto-replies, task reminders, new-lead notifications, password resets
+ * and email verification.
  * Configure SMTP in .env (see LEAD_AUTO_REPLY.md). If not configured, sends are skipped.
+ * Recipients on the suppression list (utils/suppression.js) are never emailed.
  */
 const nodemailer = require('nodemailer');
+const { isSuppressed, buildUnsubscribeUrl } = require('./suppression');
 
 let transporter = null;
 
@@ -23,26 +26,90 @@ function getTransporter() {
   return transporter;
 }
 
+// Unsubscribe footer for the HTML body, before </body> when the template has one
+function appendUnsubscribeHtml(html, url) {
+  const footer = `<p style="font-family: Arial, sans-serif; font-size: 12px; color: #6b7280; margin-top: 24px;">` +
+    `Don't want these emails? <a href="${escapeHtml(url)}" style="color: #6b7280;">Unsubscribe</a></p>`;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+}
+
 /**
+ * Send a rendered auto-reply or sequence email (see utils/autoReplyTemplates.js) with an
+ * unsubscribe link in the body and the List-Unsubscribe headers. Skipped when no link can be built.
  * @param {Object} opts
  * @param {string} opts.to
- * @param {string} [opts.name]
- * @param {string} [opts.landingPageName]
+ * @param {string} opts.subject
+ * @param {string} opts.html
+ * @param {string} [opts.text]
+ * @param {string} [opts.lead] - Lead id, recorded when the recipient unsubscribes
+ * @returns {Promise<{ sent: true }|{ skipped: string }>}
  */
-async function sendLeadAutoReply({ to, name, landingPageName }) {
+async function sendLeadAutoReply({ to, subject, html, text, lead }) {
   const tx = getTransporter();
   if (!tx || !to) {
-    return;
+    return { skipped: 'Email is not configured' };
+  }
+  if (await isSuppressed('email', to)) {
+    return { skipped: 'Recipient unsubscribed' };
   }
 
-  const displayName = name || 'there';
-  const pageText = landingPageName ? ` about ${landingPageName}` : '';
+  // Marketing email must carry a working unsubscribe link; without one it is not sent
+  const unsubscribeUrl = buildUnsubscribeUrl(to, lead);
+  if (!unsubscribeUrl) {
+    console.error(`[Email] Not sending to ${to}: set PUBLIC_API_URL so unsubscribe links can be built`);
+    return { skipped: 'Unsubscribe link unavailable' };
+  }
+
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+
+  await tx.sendMail({
+    from: `"${process.env.SMTP_FROM_NAME || 'Our Team'}" <${from}>`,
+    to,
+    subject,
+    html: appendUnsubscribeHtml(html, unsubscribeUrl),
+    ...(text ? { text: `${text}\n\nUnsubscribe: ${unsubscribeUrl}` } : {}),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+  });
+  return { sent: true };
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Remind a user of a follow-up task on a lead.
+ * @param {Object} opts
+ * @param {string} opts.to
+ * @param {string} [opts.name]
+ * @param {Object} opts.task - Task document
+ * @param {Object} [opts.lead] - Lead document
+ * @returns {Promise<boolean>} false when email is not configured or the recipient is suppressed
+ */
+async function sendTaskReminder({ to, name, task, lead }) {
+  const tx = getTransporter();
+  if (!tx || !to || await isSuppressed('email', to)) {
+    return false;
+  }
+
+  const leadName = lead ? [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.email : '';
+  const overdue = task.dueAt.getTime() < Date.now();
+  const dueText = `${overdue ? 'was due' : 'is due'} ${task.dueAt.toUTCString()}`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
-      <p>Hi ${displayName},</p>
-      <p>Thank you for submitting your details${pageText}. We have received your request and our team will get back to you shortly.</p>
-      <p>If you did not submit this form, you can ignore this message.</p>
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Your follow-up task <strong>${escapeHtml(task.title)}</strong> ${escapeHtml(dueText)}.</p>
+      ${leadName ? `<p>Lead: ${escapeHtml(leadName)}${lead.email ? ` (${escapeHtml(lead.email)})` : ''}${lead.phone ? `, ${escapeHtml(lead.phone)}` : ''}</p>` : ''}
+      ${task.description ? `<p>${escapeHtml(task.description)}</p>` : ''}
       <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
     </div>
   `;
@@ -52,9 +119,179 @@ async function sendLeadAutoReply({ to, name, landingPageName }) {
   await tx.sendMail({
     from: `"${process.env.SMTP_FROM_NAME || 'Our Team'}" <${from}>`,
     to,
-    subject: process.env.LEAD_AUTO_REPLY_EMAIL_SUBJECT || 'Thanks for contacting us',
+    subject: `${overdue ? 'Overdue' : 'Reminder'}: ${task.title}`,
+    html,
+  });
+  return true;
+}
+
+function formatLeadName(lead) {
+  return [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.email || 'New lead';
+}
+
+// One line per lead: name, contact details and landing page
+function formatLeadSummaryHtml(lead) {
+  const contact = [lead.email, lead.phone].filter(Boolean).map(escapeHtml).join(', ');
+  const page = lead.landingPage && lead.landingPage.name ? ` - ${escapeHtml(lead.landingPage.name)}` : '';
+  return `<strong>${escapeHtml(formatLeadName(lead))}</strong>${contact ? ` (${contact})` : ''}${page}`;
+}
+
+function sendNotificationMail(tx, { to, subject, html }) {
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  return tx.sendMail({
+    from: `"${process.env.SMTP_FROM_NAME || 'Our Team'}" <${from}>`,
+    to,
+    subject,
     html,
   });
 }
 
-module.exports = { sendLeadAutoReply, getTransporter };
+/**
+ * Tell a sub admin about a new lead on one of their landing pages.
+ * @param {Object} opts
+ * @param {string} opts.to
+ * @param {string} [opts.name]
+ * @param {Object} opts.lead - Lead document with landingPage populated (name)
+ * @returns {Promise<boolean>} false when email is not configured or the recipient is suppressed
+ */
+async function sendNewLeadNotification({ to, name, lead }) {
+  const tx = getTransporter();
+  if (!tx || !to || await isSuppressed('email', to)) {
+    return false;
+  }
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>You have a new lead: ${formatLeadSummaryHtml(lead)}.</p>
+      ${lead.company ? `<p>Company: ${escapeHtml(lead.company)}</p>` : ''}
+      ${lead.message ? `<p>${escapeHtml(lead.message)}</p>` : ''}
+      <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
+    </div>
+  `;
+
+  await sendNotificationMail(tx, { to, subject: `New lead: ${formatLeadName(lead)}`, html });
+  return true;
+}
+
+/**
+ * Send a sub admin the new leads of the last hour or day in one email.
+ * @param {Object} opts
+ * @param {string} opts.to
+ * @param {string} [opts.name]
+ * @param {Array} opts.leads - Lead documents with landingPage populated (name)
+ * @param {number} opts.total - All new leads in the period (may exceed leads.length)
+ * @param {'hourly'|'daily'} opts.frequency
+ * @returns {Promise<boolean>} false when email is not configured or the recipient is suppressed
+ */
+async function sendNewLeadDigest({ to, name, leads, total, frequency }) {
+  const tx = getTransporter();
+  if (!tx || !to || await isSuppressed('email', to)) {
+    return false;
+  }
+
+  const period = frequency === 'daily' ? 'day' : 'hour';
+  const more = total - leads.length;
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>You have ${total} new lead${total === 1 ? '' : 's'} from the last ${period}:</p>
+      <ul>
+        ${leads.map((lead) => `<li>${formatLeadSummaryHtml(lead)}</li>`).join('')}
+      </ul>
+      ${more > 0 ? `<p>...and ${more} more.</p>` : ''}
+      <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
+    </div>
+  `;
+
+  await sendNotificationMail(tx, {
+    to,
+    subject: `${total} new lead${total === 1 ? '' : 's'} in the last ${period}`,
+    html
+  });
+  return true;
+}
+
+/**
+ * Email a password reset link (or, without APP_URL, the token itself).
+ * @param {Object} opts
+ * @param {string} opts.to
+ * @param {string} [opts.name]
+ * @param {string} opts.resetToken - Plain token (only its hash is stored)
+ * @param {Date} opts.expiresAt
+ * @returns {Promise<boolean>} false when email is not configured or the recipient is suppressed
+ */
+async function sendPasswordResetEmail({ to, name, resetToken, expiresAt }) {
+  const tx = getTransporter();
+  if (!tx || !to || await isSuppressed('email', to)) {
+    return false;
+  }
+
+  const appUrl = process.env.APP_URL;
+  const resetUrl = appUrl
+    ? `${appUrl.replace(/\/+$/, '')}/reset-password?token=${encodeURIComponent(resetToken)}`
+    : null;
+  const minutes = Math.max(1, Math.round((expiresAt.getTime() - Date.now()) / 60000));
+  const action = resetUrl
+    ? `<a href="${escapeHtml(resetUrl)}">Reset your password</a>`
+    : `Your reset code: <strong>${escapeHtml(resetToken)}</strong>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>We received a request to reset your password.</p>
+      <p>${action}</p>
+      <p>This ${resetUrl ? 'link' : 'code'} expires in ${minutes} minutes and can be used once.
+        If you did not ask for a reset, ignore this email; your password stays the same.</p>
+      <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
+    </div>
+  `;
+
+  await sendNotificationMail(tx, { to, subject: 'Reset your password', html });
+  return true;
+}
+
+/**
+ * Email a new sub admin the link (or, without APP_URL, the code) that confirms their address.
+ * @returns {Promise<boolean>} false when SMTP is not configured or the address is suppressed
+ */
+async function sendEmailVerificationEmail({ to, name, verificationToken, expiresAt }) {
+  const tx = getTransporter();
+  if (!tx || !to || await isSuppressed('email', to)) {
+    return false;
+  }
+
+  const appUrl = process.env.APP_URL;
+  const verifyUrl = appUrl
+    ? `${appUrl.replace(/\/+$/, '')}/verify-email?token=${encodeURIComponent(verificationToken)}`
+    : null;
+  const hours = Math.max(1, Math.round((expiresAt.getTime() - Date.now()) / 3600000));
+  const action = verifyUrl
+    ? `<a href="${escapeHtml(verifyUrl)}">Verify your email address</a>`
+    : `Your verification code: <strong>${escapeHtml(verificationToken)}</strong>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #111827; line-height: 1.5;">
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Thanks for registering. Please confirm that this is your email address.</p>
+      <p>${action}</p>
+      <p>This ${verifyUrl ? 'link' : 'code'} expires in ${hours} hours.
+        If you did not register, ignore this email.</p>
+      <p style="margin-top: 24px;">Best regards,<br/>The Team</p>
+    </div>
+  `;
+
+  await sendNotificationMail(tx, { to, subject: 'Verify your email address', html });
+  return true;
+}
+
+module.exports = {
+  sendLeadAutoReply,
+  sendTaskReminder,
+  sendNewLeadNotification,
+  sendNewLeadDigest,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  getTransporter,
+  escapeHtml
+};
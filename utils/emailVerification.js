@@ -0,0 +1,73 @@
+/**
+ * Email verification for self-registered sub admins. Registration emails a link to
+ * APP_URL/verify-email?token=... (see utils/email.js); opening it sets `User.emailVerifiedAt`.
+ * With REQUIRE_EMAIL_VERIFICATION_FOR_APPROVAL=true, pending sub admins cannot be approved
+ * until they have verified their address.
+ */
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendEmailVerificationEmail } = require('./email');
+
+function isEmailVerified(user) {
+  return Boolean(user && user.emailVerifiedAt);
+}
+
+function isVerificationRequiredForApproval() {
+  return process.env.REQUIRE_EMAIL_VERIFICATION_FOR_APPROVAL === 'true';
+}
+
+/**
+ * Reason a sub admin cannot be approved yet, or null when approval is allowed.
+ */
+function getApprovalBlocker(user) {
+  if (isVerificationRequiredForApproval() && !isEmailVerified(user)) {
+    return 'User has not verified their email address yet';
+  }
+  return null;
+}
+
+/**
+ * Issue a new verification token (replacing any earlier one) and email it. Never throws, so
+ * registration goes through even when the email cannot be sent.
+ * @returns {Promise<boolean>} whether the email was sent
+ */
+async function sendVerificationEmail(user) {
+  try {
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    return await sendEmailVerificationEmail({
+      to: user.email,
+      name: user.name,
+      verificationToken,
+      expiresAt: user.emailVerificationExpire
+    });
+  } catch (err) {
+    console.error('[EmailVerification] Failed to send verification email:', err.message || err);
+    return false;
+  }
+}
+
+/**
+ * Mark the email of the token's user verified. Each token works once.
+ * @returns {Promise<object|null>} the verified user, or null for an invalid or expired token
+ */
+async function verifyEmailToken(token) {
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return User.findOneAndUpdate(
+    { emailVerificationToken: tokenHash, emailVerificationExpire: { $gt: new Date() } },
+    {
+      $set: { emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  isEmailVerified,
+  isVerificationRequiredForApproval,
+  getApprovalBlocker,
+  sendVerificationEmail,
+  verifyEmailToken
+};
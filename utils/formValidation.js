@@ -0,0 +1,313 @@
+/**
+ * Field-level validation for lead form submissions.
+ * Shared by the public intake route (POST /api/leads) and the form preview
+ * (POST /api/landing-pages/:id/test-form) so both apply exactly the same rules.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[\d\s().-]+$/;
+
+// Built-in lead fields that can be toggled with includeDefaultFields.
+const DEFAULT_FIELD_DEFINITIONS = {
+  firstName: { name: 'firstName', label: 'First name', type: 'text', required: true, validation: { minLength: 2 } },
+  lastName: { name: 'lastName', label: 'Last name', type: 'text', required: true, validation: { minLength: 2 } },
+  email: { name: 'email', label: 'Email', type: 'email', required: true, validation: {} },
+  phone: { name: 'phone', label: 'Phone', type: 'phone', required: false, validation: {} },
+  company: { name: 'company', label: 'Company', type: 'text', required: false, validation: {} },
+  message: { name: 'message', label: 'Message', type: 'textarea', required: false, validation: {} }
+};
+
+const DEFAULT_FIELD_NAMES = Object.keys(DEFAULT_FIELD_DEFINITIONS);
+
+// Standard contact fields the form script may always send, even when a page disables them.
+const STANDARD_FIELD_NAMES = ['firstName', 'lastName', 'email', 'phone'];
+
+// Client metadata sent alongside every form (stored in dynamicFields, read by analytics).
+const CLIENT_METADATA_FIELDS = ['geoLocation', 'deviceType'];
+
+// Routing keys that are never stored on the lead.
+const ROUTING_FIELDS = ['trackingKey', 'landingPageId', 'source'];
+
+const UNKNOWN_FIELD_POLICIES = ['strict', 'store_unknown', 'quarantine'];
+
+// Field names become Mongo map keys (dynamicFields, quarantinedFields), so dots and `$` are not allowed
+const FIELD_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return value.toString().trim() === '';
+}
+
+function toPlainField(field) {
+  return typeof field.toObject === 'function' ? field.toObject() : field;
+}
+
+/**
+ * Fields a submission is validated against: enabled default fields first, then
+ * configured formFields. A configured field that reuses a default name (e.g. `phone`)
+ * is merged into the default definition so its extra rules apply too.
+ * Phone is always accepted when supplied, as lead intake has always stored it.
+ */
+function getFieldDefinitions(landingPage) {
+  const include = landingPage.includeDefaultFields || {};
+  const definitions = new Map();
+
+  for (const name of DEFAULT_FIELD_NAMES) {
+    if (include[name] || name === 'phone') {
+      const base = DEFAULT_FIELD_DEFINITIONS[name];
+      definitions.set(name, {
+        ...base,
+        required: name === 'phone' ? false : base.required,
+        validation: { ...base.validation },
+        isDefault: true
+      });
+    }
+  }
+
+  const formFields = [...(landingPage.formFields || [])]
+    .map(toPlainField)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  for (const field of formFields) {
+    const existing = definitions.get(field.name);
+    const validation = { ...(existing ? existing.validation : {}), ...(field.validation || {}) };
+    definitions.set(field.name, {
+      ...(existing || {}),
+      ...field,
+      required: Boolean(field.required) || Boolean(existing && existing.required),
+      validation,
+      isDefault: Boolean(existing)
+    });
+  }
+
+  return Array.from(definitions.values());
+}
+
+function optionValues(field) {
+  return (field.options || []).map((option) => String(option.value));
+}
+
+function buildError(field, rule, message) {
+  return { field: field.name, label: field.label, rule, message };
+}
+
+/**
+ * Coerce a raw value to the field's type. Returns { value } or { error }.
+ */
+function normalizeByType(field, rawValue) {
+  const label = field.label;
+
+  switch (field.type) {
+    case 'email': {
+      const value = String(rawValue).trim().toLowerCase();
+      if (!EMAIL_REGEX.test(value)) {
+        return { error: buildError(field, 'type', `${label} must be a valid email address`) };
+      }
+      return { value };
+    }
+    case 'phone': {
+      const value = String(rawValue).trim();
+      const digits = value.replace(/\D/g, '');
+      if (!PHONE_REGEX.test(value) || digits.length < 7 || digits.length > 15) {
+        return { error: buildError(field, 'type', `${label} must be a valid phone number`) };
+      }
+      return { value };
+    }
+    case 'url': {
+      const value = String(rawValue).trim();
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch (e) {
+        parsed = null;
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: buildError(field, 'type', `${label} must be a valid URL`) };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+      if (!Number.isFinite(value)) {
+        return { error: buildError(field, 'type', `${label} must be a number`) };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = String(rawValue).trim();
+      if (isNaN(new Date(value).getTime())) {
+        return { error: buildError(field, 'type', `${label} must be a valid date`) };
+      }
+      return { value };
+    }
+    case 'select':
+    case 'radio': {
+      const value = String(rawValue).trim();
+      const allowed = optionValues(field);
+      if (allowed.length > 0 && !allowed.includes(value)) {
+        return { error: buildError(field, 'options', `${label} must be one of: ${allowed.join(', ')}`) };
+      }
+      return { value };
+    }
+    case 'checkbox': {
+      const allowed = optionValues(field);
+      if (allowed.length === 0) {
+        // Single checkbox: accept boolean-like values.
+        const str = String(rawValue).trim().toLowerCase();
+        if (!['true', 'false', 'on', 'off', 'yes', 'no', '1', '0'].includes(str)) {
+          return { error: buildError(field, 'type', `${label} must be checked or unchecked`) };
+        }
+        return { value: ['true', 'on', 'yes', '1'].includes(str) };
+      }
+      const values = (Array.isArray(rawValue) ? rawValue : String(rawValue).split(','))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+      const invalid = values.filter((v) => !allowed.includes(v));
+      if (invalid.length > 0) {
+        return { error: buildError(field, 'options', `${label} contains invalid option(s): ${invalid.join(', ')}`) };
+      }
+      return { value: values };
+    }
+    default: {
+      if (typeof rawValue === 'object') {
+        return { error: buildError(field, 'type', `${label} must be text`) };
+      }
+      return { value: String(rawValue).trim() };
+    }
+  }
+}
+
+/**
+ * Apply the field's `validation` block to a normalized value. Returns an error or null.
+ */
+function checkValidationRules(field, value) {
+  const rules = field.validation || {};
+  const label = field.label;
+
+  if (typeof value === 'string') {
+    if (rules.minLength != null && value.length < rules.minLength) {
+      return buildError(field, 'minLength', `${label} must be at least ${rules.minLength} characters`);
+    }
+    if (rules.maxLength != null && value.length > rules.maxLength) {
+      return buildError(field, 'maxLength', `${label} must be at most ${rules.maxLength} characters`);
+    }
+    if (rules.pattern) {
+      let regex;
+      try {
+        regex = new RegExp(rules.pattern);
+      } catch (e) {
+        console.warn(`[Form validation] Invalid pattern on field "${field.name}":`, rules.pattern);
+        regex = null;
+      }
+      if (regex && !regex.test(value)) {
+        return buildError(field, 'pattern', `${label} is not in the expected format`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rules.min != null && value < rules.min) {
+      return buildError(field, 'min', `${label} must be at least ${rules.min}`);
+    }
+    if (rules.max != null && value > rules.max) {
+      return buildError(field, 'max', `${label} must be at most ${rules.max}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Non-empty submitted fields that are neither declared on the form, standard contact
+ * fields, client metadata nor routing keys. Values are trimmed strings.
+ */
+function collectUndeclaredFields(definitions, formData) {
+  const declared = new Set(definitions.map((field) => field.name));
+  const undeclared = {};
+
+  for (const [fieldName, fieldValue] of Object.entries(formData)) {
+    if (
+      declared.has(fieldName) ||
+      STANDARD_FIELD_NAMES.includes(fieldName) ||
+      CLIENT_METADATA_FIELDS.includes(fieldName) ||
+      ROUTING_FIELDS.includes(fieldName) ||
+      isEmptyValue(fieldValue)
+    ) {
+      continue;
+    }
+    undeclared[fieldName] = fieldValue.toString().trim();
+  }
+
+  return undeclared;
+}
+
+/**
+ * Validate submitted form data against a landing page's form configuration.
+ * @param {object} landingPage - LandingPage document or plain object
+ * @param {object} formData - Raw submitted values keyed by field name
+ * @returns {{ valid: boolean, errors: Array<{ field: string, label: string, rule: string, message: string }>, values: object, undeclared: object }}
+ *   `values` holds the normalized value of every declared field that was supplied;
+ *   `undeclared` holds fields the form does not declare, except names not matching
+ *   FIELD_NAME_REGEX. Under the `strict` intake policy each undeclared field is also
+ *   reported as an error.
+ */
+function validateFormSubmission(landingPage, formData = {}) {
+  const errors = [];
+  const values = {};
+  const definitions = getFieldDefinitions(landingPage);
+
+  for (const field of definitions) {
+    const rawValue = formData[field.name];
+
+    if (isEmptyValue(rawValue)) {
+      if (field.required) {
+        errors.push(buildError(field, 'required', `${field.label} is required`));
+      }
+      continue;
+    }
+
+    const { value, error } = normalizeByType(field, rawValue);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    const ruleError = checkValidationRules(field, value);
+    if (ruleError) {
+      errors.push(ruleError);
+      continue;
+    }
+
+    values[field.name] = value;
+  }
+
+  const undeclared = collectUndeclaredFields(definitions, formData);
+  if (landingPage.unknownFieldPolicy === 'strict') {
+    for (const fieldName of Object.keys(undeclared)) {
+      errors.push({
+        field: fieldName,
+        label: fieldName,
+        rule: 'undeclared',
+        message: `${fieldName} is not a field of this form`
+      });
+    }
+  }
+  // Names that cannot be stored as map keys are dropped under the other policies
+  for (const fieldName of Object.keys(undeclared)) {
+    if (!FIELD_NAME_REGEX.test(fieldName)) {
+      delete undeclared[fieldName];
+    }
+  }
+
+  return { valid: errors.length === 0, errors, values, undeclared };
+}
+
+module.exports = {
+  DEFAULT_FIELD_NAMES,
+  CLIENT_METADATA_FIELDS,
+  UNKNOWN_FIELD_POLICIES,
+  FIELD_NAME_REGEX,
+  getFieldDefinitions,
+  validateFormSubmission
+};
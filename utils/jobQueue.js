@@ -0,0 +1,225 @@
+/**
+ * Mongo-backed job queue (outbox) for work that must survive the request that created it,
+ * e.g. lead auto-replies. A job is stored before anything runs; the enqueuing request then
+ * starts it right away, and anything left over (failed attempts, runs cut short when a
+ * serverless function froze) is picked up by `drainJobs` from the `/api/cron/jobs` endpoint or
+ * `scripts/jobWorker.js`.
+ *
+ * Failed jobs are retried with exponential backoff and dead-lettered (status `dead`) after
+ * `maxAttempts`. Dead jobs can be inspected and re-run through `/api/jobs`.
+ *
+ * Modules register a handler per job type with `registerJobHandler`. A handler throws to have
+ * the job retried; its return value is stored as the job's `result`.
+ */
+const Job = require('../models/Job');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Retries wait 1, 2, 4, 8... minutes
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// How long a claimed job is locked before another worker may take it over
+const JOB_LOCK_MS = 5 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+const handlers = new Map();
+
+/**
+ * @param {string} type
+ * @param {(payload: object, job: object) => Promise<any>} handler
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function getRegisteredJobTypes() {
+  return Array.from(handlers.keys());
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function errorMessage(err) {
+  const message = (err && err.message) || String(err);
+  return message.length > MAX_ERROR_LENGTH ? `${message.slice(0, MAX_ERROR_LENGTH)}...` : message;
+}
+
+/**
+ * Claim a job so no other worker runs it: either the given job or, without an id, the next
+ * due one (pending and due, or processing with an expired lock).
+ * @returns {Promise<object|null>}
+ */
+function claimJob(jobId) {
+  const now = new Date();
+  const query = {
+    $or: [
+      { status: 'pending', runAt: { $lte: now } },
+      { status: 'processing', lockedUntil: { $lte: now } }
+    ]
+  };
+  if (jobId) {
+    query._id = jobId;
+  }
+
+  return Job.findOneAndUpdate(
+    query,
+    {
+      status: 'processing',
+      lockedUntil: new Date(now.getTime() + JOB_LOCK_MS),
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+/**
+ * Run a claimed job and record the outcome.
+ * @returns {Promise<object>} updated job
+ */
+async function runClaimedJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    const result = await handler(job.payload || {}, job);
+
+    return Job.findByIdAndUpdate(job._id, {
+      status: 'completed',
+      result,
+      completedAt: new Date(),
+      lastError: null,
+      $unset: { lockedUntil: 1 }
+    }, { new: true });
+  } catch (err) {
+    const message = errorMessage(err);
+    const update = {
+      lastError: message,
+      $push: { failures: { attempt: job.attempts, error: message, failedAt: new Date() } },
+      $unset: { lockedUntil: 1 }
+    };
+
+    if (job.attempts >= job.maxAttempts) {
+      update.status = 'dead';
+      update.deadAt = new Date();
+      console.error(`[Jobs] ${job.type} job ${job._id} dead after ${job.attempts} attempt(s):`, message);
+    } else {
+      update.status = 'pending';
+      update.runAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+
+    return Job.findByIdAndUpdate(job._id, update, { new: true });
+  }
+}
+
+/**
+ * Claim and run one job now. Returns null when it is not due or another worker has it.
+ * @returns {Promise<object|null>} updated job
+ */
+async function runJob(jobId) {
+  const job = await claimJob(jobId);
+  if (!job) return null;
+  return runClaimedJob(job);
+}
+
+/**
+ * Store a job and start running it in the background.
+ * @param {string} type - Registered job type
+ * @param {object} payload - Plain JSON data for the handler
+ * @param {object} [opts]
+ * @param {string} [opts.lead] - Lead the job belongs to
+ * @param {number} [opts.maxAttempts]
+ * @param {Date} [opts.runAt] - Delay the first run
+ * @returns {Promise<object>} Job
+ */
+async function enqueueJob(type, payload, { lead, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt } = {}) {
+  const job = await Job.create({
+    type,
+    payload,
+    lead,
+    maxAttempts,
+    runAt: runAt || new Date()
+  });
+
+  if (!runAt || runAt <= new Date()) {
+    runJob(job._id).catch((err) => {
+      console.error(`[Jobs] Failed to run ${type} job ${job._id}:`, err.message || err);
+    });
+  }
+
+  return job;
+}
+
+/**
+ * Run due jobs until none are left, `limit` jobs have run or `timeBudgetMs` has passed.
+ * @param {object} [opts]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.timeBudgetMs] - Stop claiming new jobs after this long (serverless time limits)
+ * @returns {Promise<{ processed: number, completed: number, retrying: number, dead: number }>}
+ */
+async function drainJobs({ limit = 100, timeBudgetMs = 20 * 1000 } = {}) {
+  const startedAt = Date.now();
+  const result = { processed: 0, completed: 0, retrying: 0, dead: 0 };
+
+  while (result.processed < limit && Date.now() - startedAt < timeBudgetMs) {
+    const job = await claimJob();
+    if (!job) break;
+
+    const finished = await runClaimedJob(job);
+    result.processed++;
+    if (finished.status === 'completed') {
+      result.completed++;
+    } else if (finished.status === 'dead') {
+      result.dead++;
+    } else {
+      result.retrying++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Put a dead (or waiting) job back in the queue with a fresh set of attempts.
+ * @returns {Promise<object|null>} the job, or null when it is running or already completed
+ */
+function requeueJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['dead', 'pending'] } },
+    {
+      status: 'pending',
+      attempts: 0,
+      runAt: new Date(),
+      $unset: { deadAt: 1, lockedUntil: 1 }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Job counts per status, optionally for one job type.
+ */
+async function countJobsByStatus(type) {
+  const match = type ? { type } : {};
+  const rows = await Job.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { pending: 0, processing: 0, completed: 0, dead: 0 };
+  rows.forEach((row) => {
+    counts[row._id] = row.count;
+  });
+  return counts;
+}
+
+module.exports = {
+  registerJobHandler,
+  getRegisteredJobTypes,
+  enqueueJob,
+  runJob,
+  drainJobs,
+  requeueJob,
+  countJobsByStatus
+};
@@ -0,0 +1,104 @@
+/**
+ * Lead activity timeline helpers.
+ * Automatic entries are written by the lead update routes and CSV imports; logging
+ * failures are reported but never fail the update itself.
+ */
+const mongoose = require('mongoose');
+const LeadActivity = require('../models/LeadActivity');
+const { TRANSITION_FIELDS } = require('./pipeline');
+
+// Lead fields whose changes are recorded on the timeline
+const TRACKED_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'message', 'status', 'lastContacted', 'isSpam',
+  'assignedTo', 'lostReason', 'dealValue', 'currency', 'expectedCloseDate', 'probability'
+];
+
+function toComparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value === undefined || value === null || value === '') return null;
+  return value;
+}
+
+/**
+ * @param {object} lead - Lead document before the update
+ * @param {object} updates - Fields about to be written
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ */
+function diffLeadChanges(lead, updates) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in updates) || updates[field] === undefined) continue;
+    const from = lead[field];
+    const to = updates[field];
+    if (toComparable(from) !== toComparable(to)) {
+      changes.push({ field, from: from === undefined ? null : from, to });
+    }
+  }
+  return changes;
+}
+
+function landingPageIdOf(lead) {
+  const landingPage = lead.landingPage;
+  return landingPage && landingPage._id ? landingPage._id : landingPage;
+}
+
+/**
+ * Write a timeline entry.
+ * @param {object} opts
+ * @param {object} opts.lead - Lead document
+ * @param {string} opts.type
+ * @param {string} [opts.content]
+ * @param {Array} [opts.changes]
+ * @param {object} [opts.metadata]
+ * @param {string} [opts.userId]
+ */
+async function logLeadActivity({ lead, type, content, changes, metadata, userId }) {
+  try {
+    return await LeadActivity.create({
+      lead: lead._id,
+      landingPage: landingPageIdOf(lead),
+      type,
+      content,
+      changes,
+      metadata,
+      createdBy: userId
+    });
+  } catch (err) {
+    console.error('[Lead activity] Failed to log activity:', err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Record the difference between a lead and the updates applied to it.
+ * Status changes (with their transition fields, e.g. lostReason) are logged as `status_change`,
+ * CSV rows as `import`, anything else as `update`. Webhook events are sent separately, with
+ * `emitLeadChangeEvents` from utils/webhooks.
+ * @param {object} lead - Lead document before the update
+ * @param {object} updates
+ * @param {{ userId?: string, source?: 'import' }} [opts]
+ */
+async function recordLeadChanges(lead, updates, { userId, source } = {}) {
+  const changes = diffLeadChanges(lead, updates);
+  if (changes.length === 0) return null;
+
+  let type = 'update';
+  if (source === 'import') {
+    type = 'import';
+  } else if (
+    changes.some((change) => change.field === 'status') &&
+    changes.every((change) => change.field === 'status' || TRANSITION_FIELDS.includes(change.field))
+  ) {
+    type = 'status_change';
+  }
+
+  return logLeadActivity({ lead, type, changes, userId });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffLeadChanges,
+  logLeadActivity,
+  recordLeadChanges
+};
@@ -1,13 +1,30 @@
 const Lead = require('../models/Lead');
+const { DEFAULT_PIPELINE_STAGES, summarizeLeadStages } = require('./pipeline');
+const { getRevenueAnalytics, getEmptyRevenueData } = require('./revenueAnalytics');
+const { SCORE_BUCKETS } = require('./leadScoring');
+
+// Lead score buckets in display order; leads of pages without scoring are `unscored`
+const SCORE_BUCKET_ORDER = [...SCORE_BUCKETS, 'unscored'];
 
 function getEmptyAnalyticsData() {
   return {
     kpis: { new: 0, contacted: 0, qualified: 0, closed: 0 },
+    pipeline: {
+      total: 0,
+      open: 0,
+      won: 0,
+      lost: 0,
+      closed: 0,
+      stages: DEFAULT_PIPELINE_STAGES.map(({ key, label, color, isWon, isLost }) => ({ key, label, color, isWon, isLost, count: 0 }))
+    },
+    revenue: getEmptyRevenueData(),
     landingPage: null,
     leadsOverTime: { daily: [], monthly: [], yearly: [] },
     bySource: [],
     byLocation: [],
     byDevice: [],
+    byScore: SCORE_BUCKET_ORDER.map((bucket) => ({ bucket, count: 0 })),
+    averageScore: null,
     locationBreakdown: {
       city: [],
       state: [],
@@ -22,25 +39,16 @@ function getEmptyAnalyticsData() {
  * @param {object|null} landingPageMeta - Populated landing page doc or null.
  */
 async function getLeadAnalyticsData(match, landingPageMeta = null) {
-  const statusAgg = await Lead.aggregate([
-    { $match: match },
-    { $group: { _id: '$status', count: { $sum: 1 } } }
-  ]);
+  // KPI buckets: one per open pipeline stage, plus won + lost stages as `closed`
+  const pipeline = await summarizeLeadStages(match, landingPageMeta ? [landingPageMeta._id] : []);
 
-  const counts = { new: 0, contacted: 0, qualified: 0, converted: 0, lost: 0 };
-
-  statusAgg.forEach((row) => {
-    if (row._id && Object.prototype.hasOwnProperty.call(counts, row._id)) {
-      counts[row._id] = row.count;
-    }
-  });
-
-  const kpis = {
-    new: counts.new,
-    contacted: counts.contacted,
-    qualified: counts.qualified,
-    closed: counts.converted + counts.lost
-  };
+  const kpis = {};
+  pipeline.stages
+    .filter((stage) => !stage.isWon && !stage.isLost)
+    .forEach((stage) => {
+      kpis[stage.key] = stage.count;
+    });
+  kpis.closed = pipeline.closed;
 
   const timeSeries = (format) =>
     Lead.aggregate([
@@ -156,7 +164,7 @@ async function getLeadAnalyticsData(match, landingPageMeta = null) {
       : topRows;
   };
 
-  const [daily, monthly, yearly, bySourceRaw, locAgg, byDeviceRaw, byCity, byState, byCountry] =
+  const [daily, monthly, yearly, bySourceRaw, locAgg, byDeviceRaw, byScoreRaw, byCity, byState, byCountry, revenue] =
     await Promise.all([
       timeSeries('%Y-%m-%d'),
       timeSeries('%Y-%m'),
@@ -252,9 +260,20 @@ async function getLeadAnalyticsData(match, landingPageMeta = null) {
         { $project: { _id: 0, device: '$_id', count: 1 } },
         { $sort: { count: -1 } }
       ]),
+      Lead.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $ifNull: ['$scoreBucket', 'unscored'] },
+            count: { $sum: 1 },
+            scoreSum: { $sum: { $ifNull: ['$score', 0] } }
+          }
+        }
+      ]),
       aggregateGeoLevel('city'),
       aggregateGeoLevel('state'),
-      aggregateGeoLevel('country')
+      aggregateGeoLevel('country'),
+      getRevenueAnalytics(match)
     ]);
 
   const locRows = locAgg.map((x) => ({ location: x._id, count: x.count }));
@@ -266,13 +285,29 @@ async function getLeadAnalyticsData(match, landingPageMeta = null) {
       ? [...topLoc, { location: 'Other', count: otherLocSum }]
       : topLoc;
 
+  // Hot/warm/cold counts in a fixed order, and the average score of scored leads
+  const scoreRows = new Map(byScoreRaw.map((row) => [row._id, row]));
+  const byScore = SCORE_BUCKET_ORDER.map((bucket) => ({
+    bucket,
+    count: scoreRows.has(bucket) ? scoreRows.get(bucket).count : 0
+  }));
+  const scored = byScoreRaw.filter((row) => row._id !== 'unscored');
+  const scoredCount = scored.reduce((sum, row) => sum + row.count, 0);
+  const averageScore = scoredCount > 0
+    ? Math.round(scored.reduce((sum, row) => sum + row.scoreSum, 0) / scoredCount)
+    : null;
+
   return {
     kpis,
+    pipeline,
+    revenue,
     landingPage: landingPageMeta,
     leadsOverTime: { daily, monthly, yearly },
     bySource: bySourceRaw,
     byLocation,
     byDevice: byDeviceRaw,
+    byScore,
+    averageScore,
     locationBreakdown: {
       city: byCity,
       state: byState,
@@ -0,0 +1,172 @@
+/**
+ * Lead ownership: automatic distribution of new leads to the sub-admins of a landing page
+ * and the eligibility rules shared by the manual assignment endpoints.
+ *
+ * Distribution modes (LandingPage.assignment.mode):
+ * - manual       - leads arrive unassigned
+ * - round_robin  - eligible sub-admins take turns
+ * - weighted     - like round_robin, but each sub-admin takes `weight` turns per cycle
+ * - least_loaded - the sub-admin with the fewest open (not won/lost) leads on the page
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LandingPage = require('../models/LandingPage');
+const AdminAccess = require('../models/AdminAccess');
+const { getClosedStageKeys } = require('./pipeline');
+
+const ASSIGNMENT_MODES = ['manual', 'round_robin', 'weighted', 'least_loaded'];
+
+/**
+ * Approved sub-admins with active access to the landing page, in a stable order.
+ * @returns {Promise<string[]>} user ids
+ */
+async function getEligibleAssignees(landingPageId) {
+  const records = await AdminAccess.find({ landingPage: landingPageId, status: 'active' })
+    .populate('subAdmin', 'role status');
+
+  return records
+    .filter((r) => r.subAdmin && r.subAdmin.role === 'sub_admin' && r.subAdmin.status === 'approved')
+    .map((r) => r.subAdmin._id.toString())
+    .sort();
+}
+
+/**
+ * Whether a user may own leads of the landing page.
+ */
+async function isEligibleAssignee(landingPageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return false;
+  const eligible = await getEligibleAssignees(landingPageId);
+  return eligible.includes(userId.toString());
+}
+
+// Atomically advance the page's distribution cursor and return its previous value
+async function nextCursor(landingPageId) {
+  const previous = await LandingPage.findOneAndUpdate(
+    { _id: landingPageId },
+    { $inc: { 'assignment.cursor': 1 } },
+    { new: false, projection: { 'assignment.cursor': 1 } }
+  );
+  return (previous && previous.assignment && previous.assignment.cursor) || 0;
+}
+
+async function pickRoundRobin(landingPage, eligible) {
+  const cursor = await nextCursor(landingPage._id);
+  return eligible[cursor % eligible.length];
+}
+
+async function pickWeighted(landingPage, eligible) {
+  const weights = new Map(
+    ((landingPage.assignment && landingPage.assignment.weights) || [])
+      .filter((w) => w.subAdmin)
+      .map((w) => [w.subAdmin.toString(), w.weight])
+  );
+
+  // Sub-admins without a configured weight count once per cycle; weight 0 excludes them
+  const slots = eligible
+    .map((id) => ({ id, weight: weights.has(id) ? weights.get(id) : 1 }))
+    .filter((s) => s.weight > 0);
+  const totalWeight = slots.reduce((sum, s) => sum + s.weight, 0);
+  if (totalWeight === 0) return null;
+
+  let position = (await nextCursor(landingPage._id)) % totalWeight;
+  for (const slot of slots) {
+    if (position < slot.weight) return slot.id;
+    position -= slot.weight;
+  }
+  return null;
+}
+
+async function pickLeastLoaded(landingPage, eligible) {
+  const loads = await Lead.aggregate([
+    {
+      $match: {
+        landingPage: landingPage._id,
+        assignedTo: { $in: eligible.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: { $nin: getClosedStageKeys(landingPage) },
+        isSpam: { $ne: true }
+      }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  const loadById = new Map(loads.map((l) => [l._id.toString(), l.count]));
+
+  let best = null;
+  for (const id of eligible) {
+    const load = loadById.get(id) || 0;
+    if (best === null || load < best.load) {
+      best = { id, load };
+    }
+  }
+  return best && best.id;
+}
+
+const pickers = {
+  round_robin: pickRoundRobin,
+  weighted: pickWeighted,
+  least_loaded: pickLeastLoaded
+};
+
+/**
+ * Choose the owner of a new lead according to the landing page's distribution mode.
+ * @param {object} landingPage - LandingPage document
+ * @returns {Promise<string|null>} user id, or null when the lead stays unassigned
+ */
+async function pickAssignee(landingPage) {
+  const mode = landingPage.assignment && landingPage.assignment.mode;
+  const picker = pickers[mode];
+  if (!picker) return null;
+
+  const eligible = await getEligibleAssignees(landingPage._id);
+  if (eligible.length === 0) return null;
+
+  return picker(landingPage, eligible);
+}
+
+/**
+ * Set `assignedTo` on lead data about to be created. Spam is never assigned, and a
+ * duplicate goes to whoever owns its primary when that sub-admin is still eligible.
+ * Failures are logged and leave the lead unassigned.
+ * @param {object} landingPage - LandingPage document
+ * @param {object} leadData
+ * @param {object} [primary] - Cluster primary the lead duplicates (needs `assignedTo`)
+ */
+async function assignNewLead(landingPage, leadData, primary) {
+  if (leadData.isSpam) return;
+
+  try {
+    let assignee = null;
+    if (primary && primary.assignedTo && await isEligibleAssignee(landingPage._id, primary.assignedTo)) {
+      assignee = primary.assignedTo.toString();
+    } else {
+      assignee = await pickAssignee(landingPage);
+    }
+
+    if (assignee) {
+      leadData.assignedTo = assignee;
+      leadData.assignedAt = Date.now();
+    }
+  } catch (err) {
+    console.error('[Lead assignment] Failed to assign lead:', err.message || err);
+  }
+}
+
+/**
+ * Unassign a sub-admin's leads on landing pages they no longer have active access to.
+ * Call after access is revoked or a sub-admin is removed.
+ */
+async function releaseInaccessibleAssignments(subAdminId) {
+  const landingPageIds = await AdminAccess.distinct('landingPage', { subAdmin: subAdminId, status: 'active' });
+  await Lead.updateMany(
+    { assignedTo: subAdminId, landingPage: { $nin: landingPageIds } },
+    { $unset: { assignedTo: 1, assignedAt: 1 } }
+  );
+}
+
+module.exports = {
+  ASSIGNMENT_MODES,
+  getEligibleAssignees,
+  isEligibleAssignee,
+  pickAssignee,
+  assignNewLead,
+  releaseInaccessibleAssignments
+};
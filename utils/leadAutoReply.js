@@ -1,37 +1,180 @@
 /**
- * Fire-and-forget auto-replies after a lead is created.
- * Does not throw; logs errors only so lead creation always succeeds.
+ * Auto-replies after a lead is created, sent through the job queue (utils/jobQueue.js) so a
+ * send is retried when it fails and is not lost when the serverless function freezes.
+ * Messages are rendered from the landing page's templates when queued, so every retry sends
+ * the same content. Queueing does not throw; errors are logged only so lead creation always succeeds.
+ *
+ * WhatsApp replies are opt-in per landing page (`whatsappAutoReply.enabled`) and only go to leads
+ * who ticked the page's consent field. The outcome is kept on the lead in `whatsappAutoReply`.
  */
-const { sendLeadAutoReply } = require('./email');
-const { sendLeadWhatsAppAutoReply } = require('./whatsapp');
+const Lead = require('../models/Lead');
+const { sendLeadAutoReply, getTransporter } = require('./email');
+const { sendLeadWhatsAppAutoReply, isWhatsAppConfigured } = require('./whatsapp');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { renderAutoReplies } = require('./autoReplyTemplates');
+
+const CONSENT_VALUES = ['true', 'yes', 'on', '1'];
+
+const AUTO_REPLY_JOB_TYPES = Object.freeze({
+  EMAIL: 'lead.auto_reply.email',
+  WHATSAPP: 'lead.auto_reply.whatsapp'
+});
+
+registerJobHandler(AUTO_REPLY_JOB_TYPES.EMAIL, async ({ to, subject, html, text }, job) => {
+  return sendLeadAutoReply({ to, subject, html, text, lead: job.lead });
+});
 
 /**
- * @param {import('mongoose').Document} lead - saved Lead document
- * @param {{ name?: string }} landingPage - populated or plain landing page
+ * WhatsApp settings of a landing page, with defaults.
+ * @returns {{ enabled: boolean, consentField: string, defaultCountryCode?: string }}
  */
-function scheduleLeadAutoReplies(lead, landingPage) {
-  const name = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || undefined;
-  const landingPageName = landingPage && landingPage.name;
-
-  if (lead.email) {
-    sendLeadAutoReply({
-      to: lead.email,
-      name,
-      landingPageName,
-    }).catch((err) => {
-      console.error('[Lead auto-reply] Email failed:', err.message || err);
+function getWhatsAppSettings(landingPage) {
+  const settings = (landingPage && landingPage.whatsappAutoReply) || {};
+  return {
+    enabled: Boolean(settings.enabled),
+    consentField: settings.consentField || 'whatsappConsent',
+    defaultCountryCode: settings.defaultCountryCode || undefined
+  };
+}
+
+/**
+ * Whether validated form values include consent to WhatsApp messages.
+ */
+function hasWhatsAppConsent(landingPage, values) {
+  const value = values[getWhatsAppSettings(landingPage).consentField];
+  if (value === true) return true;
+  if (value === undefined || value === null || typeof value === 'object') return false;
+  return CONSENT_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+async function recordWhatsAppStatus(leadId, status, details = {}) {
+  try {
+    await Lead.updateOne({ _id: leadId }, {
+      whatsappAutoReply: { status, ...details, updatedAt: new Date() }
     });
+  } catch (err) {
+    console.error('[Lead auto-reply] Could not record WhatsApp status:', err.message || err);
+  }
+}
+
+// Twilio status callbacks can arrive out of order; a status only replaces an earlier one
+const WHATSAPP_STATUS_RANK = Object.freeze({
+  queued: 0,
+  retrying: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  undelivered: 4,
+  failed: 4
+});
+
+/**
+ * Record a delivery status reported by Twilio for a sent WhatsApp auto-reply.
+ * @param {string} messageSid
+ * @param {string} status - Twilio MessageStatus
+ * @param {string} [errorCode] - Twilio ErrorCode, kept as the reason for failures
+ * @returns {Promise<boolean>} whether a lead was updated
+ */
+async function recordWhatsAppDeliveryStatus(messageSid, status, errorCode) {
+  const rank = WHATSAPP_STATUS_RANK[status];
+  if (!messageSid || rank === undefined || rank < WHATSAPP_STATUS_RANK.sent) {
+    return false;
   }
 
-  // if (lead.phone) {
-  //   sendLeadWhatsAppAutoReply({
-  //     to: lead.phone,
-  //     name,
-  //     landingPageName,
-  //   }).catch((err) => {
-  //     console.error('[Lead auto-reply] WhatsApp failed:', err.message || err);
-  //   });
-  // }
+  const earlierStatuses = Object.keys(WHATSAPP_STATUS_RANK)
+    .filter((key) => WHATSAPP_STATUS_RANK[key] < rank);
+  const update = {
+    'whatsappAutoReply.status': status,
+    'whatsappAutoReply.updatedAt': new Date()
+  };
+  if (errorCode) {
+    update['whatsappAutoReply.reason'] = `Twilio error ${errorCode}`;
+  }
+
+  const result = await Lead.updateOne({
+    'whatsappAutoReply.messageSid': messageSid,
+    'whatsappAutoReply.status': { $in: earlierStatuses }
+  }, { $set: update });
+  return result.modifiedCount > 0;
+}
+
+registerJobHandler(AUTO_REPLY_JOB_TYPES.WHATSAPP, async ({ to, body, defaultCountryCode }, job) => {
+  let result;
+  try {
+    result = await sendLeadWhatsAppAutoReply({ to, body, defaultCountryCode });
+  } catch (err) {
+    const status = job.attempts >= job.maxAttempts ? 'failed' : 'retrying';
+    await recordWhatsAppStatus(job.lead, status, { reason: err.message || String(err) });
+    throw err;
+  }
+
+  if (result.skipped) {
+    await recordWhatsAppStatus(job.lead, 'skipped', { reason: result.skipped });
+  } else {
+    await recordWhatsAppStatus(job.lead, 'sent', { to: result.to, messageSid: result.sid });
+  }
+  return result;
+});
+
+/**
+ * @param {import('mongoose').Document} lead - saved Lead document
+ * @param {object} landingPage - landing page document (name, url, autoReplyTemplates)
+ * @returns {Promise<void>}
+ */
+async function scheduleLeadAutoReplies(lead, landingPage) {
+  let messages;
+  try {
+    messages = renderAutoReplies(landingPage, lead);
+  } catch (err) {
+    console.error('[Lead auto-reply] Could not render templates:', err.message || err);
+    return;
+  }
+
+  if (lead.email && getTransporter()) {
+    try {
+      await enqueueJob(AUTO_REPLY_JOB_TYPES.EMAIL, {
+        to: lead.email,
+        ...messages.email,
+      }, { lead: lead._id });
+    } catch (err) {
+      console.error('[Lead auto-reply] Could not queue email:', err.message || err);
+    }
+  }
+
+  const whatsapp = getWhatsAppSettings(landingPage);
+  if (whatsapp.enabled) {
+    let skipReason = null;
+    if (!lead.phone) {
+      skipReason = 'No phone number';
+    } else if (!lead.whatsappConsent) {
+      skipReason = 'No WhatsApp consent';
+    } else if (!isWhatsAppConfigured()) {
+      skipReason = 'WhatsApp is not configured';
+    }
+
+    if (skipReason) {
+      await recordWhatsAppStatus(lead._id, 'skipped', { reason: skipReason });
+    } else {
+      // Recorded first: the job may finish (and record `sent`) before enqueueJob returns
+      await recordWhatsAppStatus(lead._id, 'queued');
+      try {
+        await enqueueJob(AUTO_REPLY_JOB_TYPES.WHATSAPP, {
+          to: lead.phone,
+          ...messages.whatsapp,
+          defaultCountryCode: whatsapp.defaultCountryCode,
+        }, { lead: lead._id });
+      } catch (err) {
+        console.error('[Lead auto-reply] Could not queue WhatsApp:', err.message || err);
+        await recordWhatsAppStatus(lead._id, 'failed', { reason: 'Could not queue the message' });
+      }
+    }
+  }
 }
 
-module.exports = { scheduleLeadAutoReplies };
+module.exports = {
+  scheduleLeadAutoReplies,
+  getWhatsAppSettings,
+  hasWhatsAppConsent,
+  recordWhatsAppDeliveryStatus,
+  AUTO_REPLY_JOB_TYPES
+};
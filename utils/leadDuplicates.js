@@ -0,0 +1,264 @@
+/**
+ * Duplicate lead detection on intake, duplicate clusters for review, and merging.
+ * A cluster is a primary lead plus every lead whose `duplicateOf` points at it.
+ */
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const Task = require('../models/Task');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
+const { logLeadActivity } = require('./leadActivity');
+const { emitLeadEvent } = require('./webhooks');
+const { rescoreLead } = require('./leadScoring');
+
+const { normalizePhone } = Lead;
+
+// Contact fields copied from a merged duplicate when the primary has no value
+const MERGEABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company', 'message', 'lastContacted'];
+
+/**
+ * Find an earlier lead on the same landing page matching the landing page's
+ * duplicateDetection keys. Returns the cluster primary (`_id`, `assignedTo`), or null.
+ * @param {object} landingPage - LandingPage document
+ * @param {object} leadData - Lead fields about to be created (dynamicFields may be a Map)
+ */
+async function findDuplicateLead(landingPage, leadData) {
+  const config = landingPage.duplicateDetection || {};
+  if (!config.enabled) return null;
+
+  const matchKeys = config.matchKeys || [];
+  const or = [];
+
+  if (matchKeys.includes('email') && leadData.email) {
+    or.push({ email: leadData.email.toLowerCase() });
+  }
+
+  if (matchKeys.includes('phone')) {
+    const normalizedPhone = normalizePhone(leadData.phone);
+    if (normalizedPhone) or.push({ normalizedPhone });
+  }
+
+  if (matchKeys.includes('customField') && config.customField) {
+    const dynamicFields = leadData.dynamicFields;
+    const value = dynamicFields instanceof Map
+      ? dynamicFields.get(config.customField)
+      : dynamicFields && dynamicFields[config.customField];
+    if (value !== undefined && value !== null && value !== '') {
+      or.push({ [`dynamicFields.${config.customField}`]: value });
+    }
+  }
+
+  if (or.length === 0) return null;
+
+  const query = { landingPage: landingPage._id, isSpam: { $ne: true }, $or: or };
+  if (config.windowDays > 0) {
+    query.createdAt = { $gte: new Date(Date.now() - config.windowDays * 24 * 60 * 60 * 1000) };
+  }
+
+  const match = await Lead.findOne(query).sort({ createdAt: 1 }).select('duplicateOf assignedTo');
+  if (!match) return null;
+  return match.duplicateOf ? Lead.findById(match.duplicateOf).select('_id assignedTo') : match;
+}
+
+/**
+ * Resolve the lead a CSV row refers to by email. Prefers cluster primaries and the
+ * most recent lead; reports ambiguity when several unrelated leads share the email.
+ * @param {string} email
+ * @param {object} scope - Extra query conditions (e.g. landing page restriction)
+ * @returns {Promise<{ lead: object|null, ambiguous: boolean }>}
+ */
+async function findLeadByEmailForImport(email, scope = {}) {
+  const candidates = await Lead.find({ ...scope, email: email.trim().toLowerCase() })
+    .sort({ createdAt: -1 })
+    .select('_id duplicateOf');
+
+  if (candidates.length === 0) return { lead: null, ambiguous: false };
+
+  const clusterIds = new Set(candidates.map((c) => (c.duplicateOf || c._id).toString()));
+  if (clusterIds.size > 1) return { lead: null, ambiguous: true };
+
+  const primary = candidates.find((c) => !c.duplicateOf);
+  const lead = await Lead.findById(primary ? primary._id : candidates[0].duplicateOf);
+  return { lead, ambiguous: false };
+}
+
+/**
+ * Page through duplicate clusters within a lead match (e.g. scoped landing pages).
+ * @returns {Promise<{ total: number, clusters: Array<{ primary: object, duplicates: object[], count: number }> }>}
+ */
+async function listDuplicateClusters(match, { skip = 0, limit = 10 } = {}) {
+  const pipeline = [
+    { $match: { ...match, duplicateOf: { $ne: null } } },
+    { $group: { _id: '$duplicateOf', duplicateIds: { $push: '$_id' }, latestAt: { $max: '$createdAt' } } }
+  ];
+
+  const [{ total = 0 } = {}] = await Lead.aggregate([...pipeline, { $count: 'total' }]);
+  const groups = await Lead.aggregate([
+    ...pipeline,
+    { $sort: { latestAt: -1 } },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+
+  const ids = groups.flatMap((g) => [g._id, ...g.duplicateIds]);
+  const leads = await Lead.find({ _id: { $in: ids } }).populate('landingPage', 'name url');
+  const byId = new Map(leads.map((l) => [l._id.toString(), l]));
+
+  const clusters = groups
+    .map((g) => ({
+      primary: byId.get(g._id.toString()) || null,
+      duplicates: g.duplicateIds.map((id) => byId.get(id.toString())).filter(Boolean),
+      count: g.duplicateIds.length
+    }))
+    .filter((c) => c.primary);
+
+  return { total, clusters };
+}
+
+// Multi-document transactions need a replica set or a sharded cluster
+async function supportsTransactions() {
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Fold duplicates into the primary: empty contact fields and missing dynamic fields are
+ * filled from each duplicate, a snapshot is kept in `mergeHistory`, leads and timeline
+ * entries pointing at a duplicate are repointed to the primary, and the duplicate is deleted
+ * (announced to webhooks as `lead.deleted` with reason `merged`).
+ *
+ * The writes run in a transaction when MongoDB supports them. Otherwise every step can be
+ * repeated and the duplicates are deleted last, so a merge that failed part-way can be run again.
+ * @param {object} primary - Lead document
+ * @param {object[]} duplicates - Lead documents (same landing page as primary)
+ * @param {string} userId - User performing the merge
+ * @returns {Promise<object>} saved primary
+ */
+async function mergeLeads(primary, duplicates, userId) {
+  const duplicateIds = duplicates.map((d) => d._id);
+  const alreadyMerged = new Set(primary.mergeHistory.map((entry) => entry.lead.toString()));
+
+  for (const duplicate of duplicates) {
+    for (const field of MERGEABLE_FIELDS) {
+      if ((primary[field] === undefined || primary[field] === null || primary[field] === '') && duplicate[field]) {
+        primary[field] = duplicate[field];
+      }
+    }
+
+    if (duplicate.dynamicFields) {
+      duplicate.dynamicFields.forEach((value, key) => {
+        if (!primary.dynamicFields.has(key)) {
+          primary.dynamicFields.set(key, value);
+        }
+      });
+    }
+
+    // A repeated merge does not snapshot the same duplicate twice
+    if (!alreadyMerged.has(duplicate._id.toString())) {
+      primary.mergeHistory.push({
+        lead: duplicate._id,
+        mergedAt: Date.now(),
+        mergedBy: userId,
+        snapshot: duplicate.toObject({ virtuals: false, depopulate: true })
+      });
+    }
+  }
+
+  // The primary leaves its cluster only when it was a duplicate of a lead merged into it
+  if (primary.duplicateOf && duplicateIds.some((id) => id.equals(primary.duplicateOf))) {
+    primary.duplicateOf = undefined;
+  }
+  // Leads linked to a merged duplicate join the primary's cluster
+  const clusterPrimary = primary.duplicateOf || primary._id;
+
+  const writeMerge = async (session) => {
+    await primary.save({ session });
+    await Lead.updateMany(
+      { _id: { $ne: primary._id }, duplicateOf: { $in: duplicateIds } },
+      { duplicateOf: clusterPrimary },
+      { session }
+    );
+    await LeadActivity.updateMany({ lead: { $in: duplicateIds } }, { lead: primary._id }, { session });
+    await Task.updateMany(
+      { lead: { $in: duplicateIds } },
+      { lead: primary._id, landingPage: primary.landingPage },
+      { session }
+    );
+    // The primary lead keeps its own sequences; the duplicates' are dropped with them
+    await SequenceEnrollment.deleteMany({ lead: { $in: duplicateIds } }, { session });
+    await Lead.deleteMany({ _id: { $in: duplicateIds } }, { session });
+  };
+
+  if (await supportsTransactions()) {
+    // Resets the primary's changes if the transaction is retried or aborted
+    await mongoose.connection.transaction(writeMerge);
+  } else {
+    await writeMerge(null);
+  }
+
+  await rescoreLead(primary);
+  for (const duplicate of duplicates) {
+    await emitLeadEvent('lead.deleted', duplicate, { reason: 'merged', mergedInto: primary._id });
+  }
+
+  await logLeadActivity({
+    lead: primary,
+    type: 'merge',
+    content: `Merged ${duplicates.length} duplicate lead(s)`,
+    metadata: { mergedLeads: duplicateIds },
+    userId
+  });
+
+  return primary;
+}
+
+/**
+ * Load the primary and duplicates for a merge request and check they can be merged.
+ * Without explicit ids, every lead currently linked to the primary is merged.
+ * @returns {Promise<{ error?: { status: number, message: string }, primary?: object, duplicates?: object[] }>}
+ */
+async function loadMergeCandidates(primaryId, duplicateIds) {
+  const primary = await Lead.findById(primaryId);
+  if (!primary) {
+    return { error: { status: 404, message: 'Lead not found' } };
+  }
+
+  let duplicates;
+  if (Array.isArray(duplicateIds) && duplicateIds.length > 0) {
+    if (!duplicateIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: { status: 400, message: 'Invalid duplicate lead ID' } };
+    }
+    if (duplicateIds.some((id) => id.toString() === primary._id.toString())) {
+      return { error: { status: 400, message: 'A lead cannot be merged into itself' } };
+    }
+    duplicates = await Lead.find({ _id: { $in: duplicateIds } });
+    if (duplicates.length !== duplicateIds.length) {
+      return { error: { status: 404, message: 'One or more duplicate leads not found' } };
+    }
+  } else {
+    duplicates = await Lead.find({ duplicateOf: primary._id });
+  }
+
+  if (duplicates.length === 0) {
+    return { error: { status: 400, message: 'No duplicate leads to merge' } };
+  }
+
+  if (duplicates.some((d) => d.landingPage.toString() !== primary.landingPage.toString())) {
+    return { error: { status: 400, message: 'Only leads from the same landing page can be merged' } };
+  }
+
+  return { primary, duplicates };
+}
+
+module.exports = {
+  normalizePhone,
+  findDuplicateLead,
+  findLeadByEmailForImport,
+  listDuplicateClusters,
+  mergeLeads,
+  loadMergeCandidates
+};
@@ -0,0 +1,179 @@
+/**
+ * New-lead emails to the sub admins of a landing page (every sub admin with active
+ * `AdminAccess`). Each sub admin chooses in `notificationPreferences` whether to get them and
+ * how often:
+ * - instant: one email per lead, queued on the job queue (utils/jobQueue.js) when the lead is created
+ * - hourly/daily: one digest of the period's new leads, sent by `sendDueLeadDigests` from the
+ *   `/api/cron/lead-digests` endpoint or `scripts/sendLeadDigests.js`
+ *
+ * Spam leads are never announced.
+ */
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const AdminAccess = require('../models/AdminAccess');
+const { sendNewLeadNotification, sendNewLeadDigest, getTransporter } = require('./email');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const NOTIFICATION_FREQUENCIES = ['instant', 'hourly', 'daily'];
+const NEW_LEAD_JOB_TYPE = 'lead.notify.new_lead';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_PERIOD_MS = { hourly: HOUR_MS, daily: 24 * HOUR_MS };
+// Cron runs drift by a few minutes; a digest this close to its period is sent on this run
+const DIGEST_SLACK_MS = 5 * 60 * 1000;
+// Leads listed in one digest email; the rest are counted
+const MAX_DIGEST_LEADS = 50;
+
+function getPreferences(user) {
+  const prefs = (user && user.notificationPreferences) || {};
+  return {
+    newLeadEmail: prefs.newLeadEmail !== false,
+    newLeadFrequency: prefs.newLeadFrequency || 'instant',
+    lastDigestAt: prefs.lastDigestAt || null
+  };
+}
+
+function wantsNewLeadEmails(user) {
+  return Boolean(user) && user.role === 'sub_admin' && user.status === 'approved' &&
+    getPreferences(user).newLeadEmail;
+}
+
+/**
+ * Queue instant new-lead emails for the sub admins of the lead's landing page. Never throws;
+ * errors are logged so lead creation always succeeds.
+ * @param {import('mongoose').Document} lead - saved Lead document
+ * @param {object} landingPage
+ */
+async function notifyNewLead(lead, landingPage) {
+  if (lead.isSpam || !getTransporter()) return;
+
+  try {
+    const accessRecords = await AdminAccess.find({ landingPage: landingPage._id, status: 'active' })
+      .populate('subAdmin', 'role status notificationPreferences');
+
+    for (const { subAdmin } of accessRecords) {
+      if (!wantsNewLeadEmails(subAdmin) || getPreferences(subAdmin).newLeadFrequency !== 'instant') {
+        continue;
+      }
+      await enqueueJob(NEW_LEAD_JOB_TYPE, {
+        user: subAdmin._id.toString(),
+        lead: lead._id.toString()
+      }, { lead: lead._id });
+    }
+  } catch (err) {
+    console.error('[Lead notifications] Could not queue new-lead emails:', err.message || err);
+  }
+}
+
+registerJobHandler(NEW_LEAD_JOB_TYPE, async ({ user: userId, lead: leadId }) => {
+  const [user, lead] = await Promise.all([
+    User.findById(userId).select('name email role status notificationPreferences'),
+    Lead.findById(leadId).populate('landingPage', 'name')
+  ]);
+  if (!lead) {
+    return { skipped: 'Lead deleted' };
+  }
+  // Preferences or access may have changed since the job was queued
+  if (!wantsNewLeadEmails(user) || getPreferences(user).newLeadFrequency !== 'instant') {
+    return { skipped: 'Notifications turned off' };
+  }
+  const hasAccess = await AdminAccess.exists({
+    subAdmin: user._id,
+    landingPage: lead.landingPage._id,
+    status: 'active'
+  });
+  if (!hasAccess) {
+    return { skipped: 'No access to the landing page' };
+  }
+
+  const sent = await sendNewLeadNotification({ to: user.email, name: user.name, lead });
+  return sent ? { sent: true } : { skipped: 'Email is not configured or recipient is suppressed' };
+});
+
+/**
+ * Send one digest to a user for the leads created since their last digest.
+ * @returns {Promise<'sent'|'empty'|'skipped'>}
+ */
+async function sendDigest(user, frequency, now) {
+  const { lastDigestAt } = getPreferences(user);
+  const since = lastDigestAt || new Date(now.getTime() - DIGEST_PERIOD_MS[frequency]);
+
+  // Claim the period so overlapping runs do not send it twice
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'notificationPreferences.lastDigestAt': lastDigestAt },
+    { 'notificationPreferences.lastDigestAt': now }
+  );
+  if (!claimed) return 'skipped';
+
+  const accessRecords = await AdminAccess.find({ subAdmin: user._id, status: 'active' }).select('landingPage');
+  const query = {
+    landingPage: { $in: accessRecords.map((record) => record.landingPage) },
+    isSpam: { $ne: true },
+    createdAt: { $gt: since, $lte: now }
+  };
+
+  const total = accessRecords.length > 0 ? await Lead.countDocuments(query) : 0;
+  if (total === 0) return 'empty';
+
+  const leads = await Lead.find(query)
+    .populate('landingPage', 'name')
+    .sort({ createdAt: -1 })
+    .limit(MAX_DIGEST_LEADS);
+
+  try {
+    const sent = await sendNewLeadDigest({ to: user.email, name: user.name, leads, total, frequency });
+    return sent ? 'sent' : 'skipped';
+  } catch (err) {
+    // Give the period back so the next run sends it
+    await User.updateOne(
+      { _id: user._id, 'notificationPreferences.lastDigestAt': now },
+      { 'notificationPreferences.lastDigestAt': lastDigestAt }
+    );
+    throw err;
+  }
+}
+
+/**
+ * Send hourly and daily new-lead digests that are due.
+ * @param {object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ sent: number, empty: number, skipped: number, failed: number, emailConfigured: boolean }>}
+ */
+async function sendDueLeadDigests({ now = new Date() } = {}) {
+  const result = { sent: 0, empty: 0, skipped: 0, failed: 0, emailConfigured: Boolean(getTransporter()) };
+  if (!result.emailConfigured) {
+    return result;
+  }
+
+  for (const [frequency, periodMs] of Object.entries(DIGEST_PERIOD_MS)) {
+    const dueBefore = new Date(now.getTime() - periodMs + DIGEST_SLACK_MS);
+    const users = await User.find({
+      role: 'sub_admin',
+      status: 'approved',
+      'notificationPreferences.newLeadEmail': { $ne: false },
+      'notificationPreferences.newLeadFrequency': frequency,
+      $or: [
+        { 'notificationPreferences.lastDigestAt': null },
+        { 'notificationPreferences.lastDigestAt': { $lte: dueBefore } }
+      ]
+    }).select('name email role status notificationPreferences');
+
+    for (const user of users) {
+      try {
+        result[await sendDigest(user, frequency, now)]++;
+      } catch (err) {
+        console.error(`[Lead notifications] Failed to send ${frequency} digest to user ${user._id}:`, err.message || err);
+        result.failed++;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  NOTIFICATION_FREQUENCIES,
+  NEW_LEAD_JOB_TYPE,
+  notifyNewLead,
+  sendDueLeadDigests
+};
@@ -0,0 +1,393 @@
+/**
+ * Rule-based lead scoring per landing page (`LandingPage.leadScoring`). Each matching rule adds
+ * its points (negative points subtract); the total is clamped to 0-100 and bucketed hot/warm/cold
+ * by the page's thresholds. Rule types:
+ * - field_value: a lead field or dynamic field compared with `operator` and `value`
+ * - email_domain: the email's domain type (free, business or disposable)
+ * - device_type, source, geo: the lead's device, source or location (geo matches part of the address)
+ * - completeness: `points` scaled by the share of the page's form fields the lead filled in
+ *
+ * Leads are scored on intake and rescored after edits (`rescoreLead`). Changing the rules rescores
+ * every lead of the page in the background (`queueLandingPageRescore`). With scoring off, leads
+ * have no score.
+ */
+const Lead = require('../models/Lead');
+const LandingPage = require('../models/LandingPage');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const SCORING_RULE_TYPES = ['field_value', 'email_domain', 'device_type', 'source', 'geo', 'completeness'];
+const SCORING_OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'exists', 'gte', 'lte'];
+const EMAIL_DOMAIN_TYPES = ['free', 'business', 'disposable'];
+const SCORE_BUCKETS = ['hot', 'warm', 'cold'];
+const RESCORE_JOB_TYPE = 'lead.scoring.rescore_page';
+
+const MAX_SCORE = 100;
+const RESCORE_BATCH_SIZE = 500;
+
+// Lead fields a field_value rule reads directly; any other name is looked up in dynamicFields
+const LEAD_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company', 'message', 'source', 'dealValue', 'probability'];
+
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.co.uk', 'ymail.com', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'protonmail.com',
+  'proton.me', 'zoho.com', 'yandex.com', 'mail.com', 'gmx.com', 'gmx.net', 'rediffmail.com'
+]);
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'yopmail.com',
+  'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com', 'maildrop.cc', 'throwawaymail.com'
+]);
+
+const LEAD_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  score: { score: -1, createdAt: -1 },
+  score_asc: { score: 1, createdAt: -1 }
+};
+
+function getScoringSettings(landingPage) {
+  const settings = (landingPage && landingPage.leadScoring) || {};
+  return {
+    enabled: Boolean(settings.enabled),
+    hotThreshold: settings.hotThreshold ?? 70,
+    warmThreshold: settings.warmThreshold ?? 40,
+    rules: settings.rules || []
+  };
+}
+
+/**
+ * @param {string} email
+ * @returns {'free'|'business'|'disposable'|null}
+ */
+function getEmailDomainType(email) {
+  const domain = typeof email === 'string' ? email.trim().toLowerCase().split('@')[1] : null;
+  if (!domain) return null;
+  if (DISPOSABLE_EMAIL_DOMAINS.has(domain)) return 'disposable';
+  if (FREE_EMAIL_DOMAINS.has(domain)) return 'free';
+  return 'business';
+}
+
+// Works for documents, plain objects and lean results (dynamicFields as a Map or object)
+function getDynamicField(lead, name) {
+  const fields = lead.dynamicFields;
+  if (!fields) return undefined;
+  return fields instanceof Map ? fields.get(name) : fields[name];
+}
+
+function getRuleField(lead, field) {
+  return LEAD_FIELDS.includes(field) ? lead[field] : getDynamicField(lead, field);
+}
+
+function isFilled(value) {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return String(value).trim() !== '';
+}
+
+const toText = (value) => String(value).trim().toLowerCase();
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(isFilled).map(toText);
+
+function compareValue(actual, operator, expected) {
+  if (operator === 'exists') {
+    return isFilled(actual) === (expected !== false);
+  }
+  if (!isFilled(actual)) {
+    return operator === 'not_equals';
+  }
+
+  const values = (Array.isArray(actual) ? actual : [actual]).map(toText);
+  switch (operator) {
+    case 'equals':
+      return values.includes(toText(expected));
+    case 'not_equals':
+      return !values.includes(toText(expected));
+    case 'contains':
+      return values.some((value) => value.includes(toText(expected)));
+    case 'in':
+      return values.some((value) => toList(expected).includes(value));
+    case 'gte':
+    case 'lte': {
+      const number = Number(actual);
+      const limit = Number(expected);
+      if (Number.isNaN(number) || Number.isNaN(limit)) return false;
+      return operator === 'gte' ? number >= limit : number <= limit;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Points a rule gives the lead (0 when it does not match).
+ */
+function getRulePoints(rule, lead, landingPage) {
+  switch (rule.type) {
+    case 'field_value':
+      return compareValue(getRuleField(lead, rule.field), rule.operator || 'equals', rule.value) ? rule.points : 0;
+    case 'email_domain':
+      return toList(rule.value).includes(getEmailDomainType(lead.email)) ? rule.points : 0;
+    case 'device_type': {
+      const device = getDynamicField(lead, 'deviceType') || lead.deviceType;
+      return isFilled(device) && toList(rule.value).includes(toText(device)) ? rule.points : 0;
+    }
+    case 'source':
+      return isFilled(lead.source) && toList(rule.value).includes(toText(lead.source)) ? rule.points : 0;
+    case 'geo': {
+      const location = getDynamicField(lead, 'geoLocation') || lead.geoLocation;
+      if (!isFilled(location)) return 0;
+      const parts = String(location).split(',').map(toText);
+      return toList(rule.value).some((place) => parts.includes(place)) ? rule.points : 0;
+    }
+    case 'completeness': {
+      const fields = (landingPage.formFields || []).map((field) => field.name);
+      if (fields.length === 0) return 0;
+      const filled = fields.filter((name) => isFilled(getDynamicField(lead, name))).length;
+      return Math.round((rule.points * filled) / fields.length);
+    }
+    default:
+      return 0;
+  }
+}
+
+function describeRule(rule) {
+  if (rule.label) return rule.label;
+  switch (rule.type) {
+    case 'field_value':
+      return `${rule.field} ${rule.operator || 'equals'}${rule.operator === 'exists' ? '' : ` ${[].concat(rule.value).join(', ')}`}`;
+    case 'completeness':
+      return 'Form completeness';
+    default:
+      return `${rule.type.replace('_', ' ')} ${[].concat(rule.value).join(', ')}`;
+  }
+}
+
+function getScoreBucket(score, settings) {
+  if (score >= settings.hotThreshold) return 'hot';
+  if (score >= settings.warmThreshold) return 'warm';
+  return 'cold';
+}
+
+/**
+ * Score a lead against its landing page's rules.
+ * @param {object} landingPage - with `leadScoring` and `formFields`
+ * @param {object} lead - Lead document or plain lead data
+ * @returns {{ score: number, scoreBucket: string, scoreBreakdown: Array<{ rule: string, points: number }> }|null}
+ *   null when scoring is off for the page
+ */
+function computeLeadScore(landingPage, lead) {
+  const settings = getScoringSettings(landingPage);
+  if (!settings.enabled) return null;
+
+  const scoreBreakdown = [];
+  let total = 0;
+  for (const rule of settings.rules) {
+    const points = getRulePoints(rule, lead, landingPage);
+    if (points !== 0) {
+      scoreBreakdown.push({ rule: describeRule(rule), points });
+      total += points;
+    }
+  }
+
+  const score = Math.min(MAX_SCORE, Math.max(0, Math.round(total)));
+  return { score, scoreBucket: getScoreBucket(score, settings), scoreBreakdown };
+}
+
+function getScoreFields(result) {
+  return result
+    ? { ...result, scoredAt: new Date() }
+    : { score: undefined, scoreBucket: undefined, scoreBreakdown: [], scoredAt: undefined };
+}
+
+function getScoreUpdate(result) {
+  return result
+    ? { $set: getScoreFields(result) }
+    : { $unset: { score: 1, scoreBucket: 1, scoreBreakdown: 1, scoredAt: 1 } };
+}
+
+/**
+ * Set the score fields on lead data before it is created.
+ * @param {object} leadData
+ * @param {object} landingPage
+ */
+function applyLeadScore(leadData, landingPage) {
+  const result = computeLeadScore(landingPage, leadData);
+  if (result) {
+    Object.assign(leadData, getScoreFields(result));
+  }
+  return result;
+}
+
+/**
+ * Recompute and store a lead's score after an edit. Never throws; errors are logged so the
+ * edit still succeeds. The passed document is updated too, so it can be returned as is.
+ * @param {object} lead - Lead document (landingPage populated or an id)
+ * @returns {Promise<object|null>} score result
+ */
+async function rescoreLead(lead) {
+  if (!lead) return null;
+  try {
+    const landingPage = await LandingPage.findById(lead.landingPage._id || lead.landingPage)
+      .select('leadScoring formFields');
+    if (!landingPage) return null;
+
+    const result = computeLeadScore(landingPage, lead);
+    await Lead.updateOne({ _id: lead._id }, getScoreUpdate(result));
+    if (typeof lead.set === 'function') {
+      lead.set(getScoreFields(result));
+    }
+    return result;
+  } catch (err) {
+    console.error(`[Lead scoring] Failed to rescore lead ${lead._id}:`, err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Rescore every lead of a landing page.
+ * @returns {Promise<number>} leads rescored
+ */
+async function rescoreLandingPageLeads(landingPageId) {
+  const landingPage = await LandingPage.findById(landingPageId).select('leadScoring formFields');
+  if (!landingPage) return 0;
+
+  const cursor = Lead.find({ landingPage: landingPage._id })
+    .select('firstName lastName email phone company message source dealValue probability dynamicFields geoLocation deviceType')
+    .lean()
+    .cursor();
+
+  let rescored = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Lead.bulkWrite(batch, { ordered: false });
+    rescored += batch.length;
+    batch = [];
+  };
+
+  for await (const lead of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: getScoreUpdate(computeLeadScore(landingPage, lead))
+      }
+    });
+    if (batch.length >= RESCORE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return rescored;
+}
+
+registerJobHandler(RESCORE_JOB_TYPE, async ({ landingPage }) => {
+  const rescored = await rescoreLandingPageLeads(landingPage);
+  return { rescored };
+});
+
+/**
+ * Rescore every lead of a landing page in the background (after its rules or form change).
+ * @returns {Promise<object>} Job
+ */
+function queueLandingPageRescore(landingPageId) {
+  return enqueueJob(RESCORE_JOB_TYPE, { landingPage: String(landingPageId) });
+}
+
+/**
+ * @param {Array<object>} rules
+ * @param {object} thresholds - hotThreshold and warmThreshold
+ * @returns {string|null} error message
+ */
+function validateScoringRules(rules, { hotThreshold, warmThreshold }) {
+  if (warmThreshold >= hotThreshold) {
+    return 'The warm threshold must be below the hot threshold';
+  }
+  if (!Array.isArray(rules)) {
+    return 'Rules must be an array';
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || !SCORING_RULE_TYPES.includes(rule.type)) {
+      return `Rule at index ${index} needs a type of: ${SCORING_RULE_TYPES.join(', ')}`;
+    }
+    if (typeof rule.points !== 'number' || !Number.isFinite(rule.points)) {
+      return `Rule at index ${index} needs numeric points`;
+    }
+    if (rule.value !== undefined && ![].concat(rule.value).every((value) => ['string', 'number', 'boolean'].includes(typeof value))) {
+      return `Rule at index ${index} value must be a string, number, boolean or a list of them`;
+    }
+    if (rule.type === 'field_value') {
+      if (typeof rule.field !== 'string' || rule.field.trim() === '') {
+        return `Rule at index ${index} needs a field`;
+      }
+      if (rule.operator !== undefined && !SCORING_OPERATORS.includes(rule.operator)) {
+        return `Rule at index ${index} has an invalid operator (use: ${SCORING_OPERATORS.join(', ')})`;
+      }
+      if (rule.operator !== 'exists' && !isFilled(rule.value)) {
+        return `Rule at index ${index} needs a value`;
+      }
+    } else if (rule.type === 'email_domain') {
+      if (!isFilled(rule.value) || toList(rule.value).some((type) => !EMAIL_DOMAIN_TYPES.includes(type))) {
+        return `Rule at index ${index} needs an email domain type of: ${EMAIL_DOMAIN_TYPES.join(', ')}`;
+      }
+    } else if (rule.type !== 'completeness' && !isFilled(rule.value)) {
+      return `Rule at index ${index} needs a value`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add the score filters of a lead list request to its Mongo query.
+ * @param {object} query
+ * @param {object} params - `scoreBucket` (comma-separated hot/warm/cold/unscored), `minScore`, `maxScore`
+ * @returns {string|null} error message
+ */
+function applyScoreFilters(query, { scoreBucket, minScore, maxScore }) {
+  if (scoreBucket) {
+    const buckets = String(scoreBucket).split(',').map((bucket) => bucket.trim()).filter(Boolean);
+    const invalid = buckets.filter((bucket) => bucket !== 'unscored' && !SCORE_BUCKETS.includes(bucket));
+    if (invalid.length > 0) {
+      return `Invalid score bucket: ${invalid.join(', ')}`;
+    }
+    query.scoreBucket = buckets.includes('unscored')
+      ? { $in: [...buckets.filter((bucket) => bucket !== 'unscored'), null] }
+      : { $in: buckets };
+  }
+
+  for (const [param, operator] of [[minScore, '$gte'], [maxScore, '$lte']]) {
+    if (param === undefined || param === '') continue;
+    const value = Number(param);
+    if (Number.isNaN(value)) {
+      return 'minScore and maxScore must be numbers';
+    }
+    query.score = { ...query.score, [operator]: value };
+  }
+
+  return null;
+}
+
+/**
+ * Sort for a lead list: newest (default), oldest, score (highest first) or score_asc.
+ */
+function getLeadSort(sort) {
+  return LEAD_SORTS[sort] || LEAD_SORTS.newest;
+}
+
+module.exports = {
+  SCORING_RULE_TYPES,
+  SCORING_OPERATORS,
+  EMAIL_DOMAIN_TYPES,
+  SCORE_BUCKETS,
+  RESCORE_JOB_TYPE,
+  getScoringSettings,
+  getEmailDomainType,
+  computeLeadScore,
+  applyLeadScore,
+  rescoreLead,
+  rescoreLandingPageLeads,
+  queueLandingPageRescore,
+  validateScoringRules,
+  applyScoreFilters,
+  getLeadSort
+};
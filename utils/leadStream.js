@@ -0,0 +1,163 @@
+/**
+ * In-process feed of lead events for the Server-Sent Events endpoint (`/api/dashboard/stream`):
+ * `lead.created` for new (non-spam) leads and `lead.status_changed` for status changes.
+ *
+ * Events come from MongoDB change streams on `Lead` inserts and on `LeadActivity` entries that
+ * change `status`, so changes made by any server instance are seen. Change streams need a replica
+ * set; on a standalone server (local development) the collections are polled every
+ * LEAD_STREAM_POLL_MS (default 5000) instead. LEAD_STREAM_MODE=change_stream|polling forces a mode.
+ *
+ * The source runs only while at least one client is subscribed.
+ */
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const { serializeLead } = require('./webhooks');
+
+const LEAD_STREAM_EVENTS = ['lead.created', 'lead.status_changed'];
+const POLL_MS = Number(process.env.LEAD_STREAM_POLL_MS) || 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// { mode, stop } of the running source, or a promise of it while starting
+let source = null;
+let subscriberCount = 0;
+
+function publish(type, landingPage, data) {
+  emitter.emit('event', { type, landingPage: String(landingPage), data });
+}
+
+function publishNewLead(lead) {
+  if (!lead || lead.isSpam) return;
+  publish('lead.created', lead.landingPage, { lead: serializeLead(lead) });
+}
+
+async function publishStatusChange(activity) {
+  const change = (activity.changes || []).find((entry) => entry.field === 'status');
+  if (!change) return;
+
+  const lead = await Lead.findById(activity.lead);
+  if (!lead || lead.isSpam) return;
+
+  publish('lead.status_changed', activity.landingPage, {
+    lead: serializeLead(lead),
+    from: change.from,
+    to: change.to,
+    changedBy: activity.createdBy ? String(activity.createdBy) : null,
+    changedAt: activity.createdAt
+  });
+}
+
+function logPublishError(err) {
+  console.error('[Lead stream] Could not publish event:', err.message || err);
+}
+
+function startPolling() {
+  let cursor = new Date();
+  let polling = false;
+
+  const timer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    const until = new Date();
+    try {
+      const window = { $gt: cursor, $lte: until };
+      const [leads, activities] = await Promise.all([
+        Lead.find({ createdAt: window, isSpam: { $ne: true } }).sort({ createdAt: 1 }),
+        LeadActivity.find({ 'changes.field': 'status', createdAt: window }).sort({ createdAt: 1 })
+      ]);
+      leads.forEach(publishNewLead);
+      for (const activity of activities) {
+        await publishStatusChange(activity).catch(logPublishError);
+      }
+      cursor = until;
+    } catch (err) {
+      console.error('[Lead stream] Polling failed:', err.message || err);
+    } finally {
+      polling = false;
+    }
+  }, POLL_MS);
+
+  return {
+    mode: 'polling',
+    stop: () => clearInterval(timer)
+  };
+}
+
+function startChangeStreams() {
+  const streams = [
+    Lead.watch([{ $match: { operationType: 'insert' } }]),
+    LeadActivity.watch([{ $match: { operationType: 'insert', 'fullDocument.changes.field': 'status' } }])
+  ];
+  const current = {
+    mode: 'change_stream',
+    stop: () => streams.forEach((stream) => stream.close().catch(() => {}))
+  };
+
+  streams[0].on('change', (change) => publishNewLead(change.fullDocument));
+  streams[1].on('change', (change) => publishStatusChange(change.fullDocument).catch(logPublishError));
+  streams.forEach((stream) => stream.on('error', (err) => {
+    if (source !== current) return;
+    console.warn('[Lead stream] Change stream failed, falling back to polling:', err.message || err);
+    current.stop();
+    source = startPolling();
+  }));
+
+  return current;
+}
+
+// Change streams need a replica set or a sharded cluster
+async function supportsChangeStreams() {
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  } catch (err) {
+    return false;
+  }
+}
+
+async function startSource() {
+  const mode = process.env.LEAD_STREAM_MODE;
+  if (mode === 'polling') return startPolling();
+  if (mode === 'change_stream' || await supportsChangeStreams()) return startChangeStreams();
+  return startPolling();
+}
+
+/**
+ * Receive lead events until the returned function is called.
+ * @param {(event: { type: string, landingPage: string, data: object }) => void} listener
+ * @returns {Promise<{ mode: string, unsubscribe: () => void }>}
+ */
+async function subscribeToLeadEvents(listener) {
+  emitter.on('event', listener);
+  subscriberCount++;
+
+  if (!source) {
+    source = startSource();
+  }
+  const running = await source;
+  if (source instanceof Promise) {
+    source = running;
+  }
+
+  let subscribed = true;
+  const unsubscribe = () => {
+    if (!subscribed) return;
+    subscribed = false;
+    emitter.off('event', listener);
+    subscriberCount--;
+    if (subscriberCount === 0 && source && !(source instanceof Promise)) {
+      source.stop();
+      source = null;
+    }
+  };
+
+  return { mode: (source || running).mode, unsubscribe };
+}
+
+module.exports = {
+  LEAD_STREAM_EVENTS,
+  subscribeToLeadEvents
+};
@@ -0,0 +1,119 @@
+/**
+ * Brute-force protection for logins and a short sign-in history per user.
+ *
+ * Failed password and 2FA attempts are counted per user and per IP. After LOGIN_MAX_ATTEMPTS
+ * failures (default 5) the account is locked for LOGIN_LOCKOUT_MINUTES (default 15); every further
+ * lock before a successful login doubles the cooldown, up to LOGIN_LOCKOUT_MAX_MINUTES (default
+ * 1440). An IP with LOGIN_MAX_FAILURES_PER_IP failures (default 30) in 15 minutes is refused until
+ * the window ends; those counters live in the rate limit store.
+ */
+const User = require('../models/User');
+const { getRateLimitStore } = require('./rateLimitStore');
+
+const MINUTE_MS = 60 * 1000;
+const IP_WINDOW_MS = 15 * MINUTE_MS;
+const RECENT_LOGINS_KEPT = 10;
+
+function getLoginSecuritySettings() {
+  return {
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    maxLockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+    maxFailuresPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30
+  };
+}
+
+// IPv4 clients can show up as IPv4-mapped IPv6 (::ffff:1.2.3.4); count them under the plain address
+function ipKey(ip) {
+  return `login-fail:ip:${String(ip).replace(/^::ffff:/, '')}`;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * @returns {Promise<number>} seconds until the IP may try again, 0 when it is not blocked
+ */
+async function getIpLockoutSeconds(ip) {
+  const { count, resetAt } = await getRateLimitStore().get(ipKey(ip), IP_WINDOW_MS);
+  return count >= getLoginSecuritySettings().maxFailuresPerIp && resetAt ? secondsUntil(resetAt) : 0;
+}
+
+/**
+ * @param {object} user - User loaded with `+lockUntil`
+ * @returns {number} seconds until the account unlocks, 0 when it is not locked
+ */
+function getUserLockoutSeconds(user) {
+  return user && user.lockUntil && user.lockUntil > new Date() ? secondsUntil(user.lockUntil) : 0;
+}
+
+/**
+ * Count a failed attempt against the IP and, for a known account, the user; locks the account
+ * once it reaches the limit.
+ * @returns {Promise<Date|null>} end of the lock when this failure locked the account
+ */
+async function recordLoginFailure({ user, ip }) {
+  await getRateLimitStore().increment(ipKey(ip), IP_WINDOW_MS);
+  if (!user) return null;
+
+  const { maxAttempts, lockoutMinutes, maxLockoutMinutes } = getLoginSecuritySettings();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts +lockoutCount');
+  if (!updated || updated.failedLoginAttempts < maxAttempts) return null;
+
+  const minutes = Math.min(maxLockoutMinutes, lockoutMinutes * 2 ** (updated.lockoutCount || 0));
+  const lockUntil = new Date(Date.now() + minutes * MINUTE_MS);
+  // Matching the count makes sure concurrent failures lock the account only once
+  const result = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockoutCount: 1 } }
+  );
+  return result.modifiedCount === 1 ? lockUntil : null;
+}
+
+/**
+ * Clear the failure counters and add the sign-in to the user's recent logins.
+ */
+async function recordLoginSuccess(user, req) {
+  await User.updateOne({ _id: user._id }, {
+    $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+    $unset: { lockUntil: 1 },
+    $push: {
+      recentLogins: {
+        $each: [{ ip: req.ip, userAgent: req.get('User-Agent'), at: new Date() }],
+        $position: 0,
+        $slice: RECENT_LOGINS_KEPT
+      }
+    }
+  });
+}
+
+/**
+ * Unlock an account and forget its failures and earlier locks.
+ * @returns {Promise<boolean>} whether the user exists
+ */
+async function clearUserLockout(userId) {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+  return result.matchedCount === 1;
+}
+
+async function clearIpLockout(ip) {
+  await getRateLimitStore().reset(ipKey(ip));
+}
+
+module.exports = {
+  getLoginSecuritySettings,
+  getIpLockoutSeconds,
+  getUserLockoutSeconds,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearUserLockout,
+  clearIpLockout
+};
@@ -0,0 +1,118 @@
+/**
+ * In-app notifications (`Notification`) shown in each admin's inbox (`/api/notifications`).
+ * Created for access requests (submitted, approved, rejected), sub admin approval, lead
+ * assignment and due tasks. Creating a notification never throws; errors are logged so the
+ * action that caused it still succeeds.
+ */
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * @param {Array<string>} recipients - User ids
+ * @param {object} notification - type, title, message and optional lead/landingPage/task/accessRequest/actor
+ * @returns {Promise<Array>} created notifications
+ */
+async function notifyUsers(recipients, notification) {
+  const unique = [...new Set(recipients.filter(Boolean).map(String))];
+  if (unique.length === 0) return [];
+
+  try {
+    return await Notification.insertMany(unique.map((recipient) => ({ ...notification, recipient })));
+  } catch (err) {
+    console.error(`[Notifications] Failed to create ${notification.type} notification:`, err.message || err);
+    return [];
+  }
+}
+
+async function notifySuperAdmins(notification) {
+  try {
+    const superAdmins = await User.find({ role: 'super_admin' }).select('_id');
+    return notifyUsers(superAdmins.map((user) => user._id), notification);
+  } catch (err) {
+    console.error('[Notifications] Failed to load super admins:', err.message || err);
+    return [];
+  }
+}
+
+function notifyAccessRequestSubmitted(accessRequest, subAdmin, landingPage) {
+  return notifySuperAdmins({
+    type: 'access_request.submitted',
+    title: 'New access request',
+    message: `${subAdmin.name} requested access to ${landingPage.name}`,
+    landingPage: landingPage._id,
+    accessRequest: accessRequest._id,
+    actor: subAdmin._id
+  });
+}
+
+/**
+ * Tell a sub admin their access request was approved or rejected.
+ * @param {object} accessRequest
+ * @param {object} [landingPage] - Landing page the decision is about (null when deleted)
+ * @param {string} actorId - Super admin who decided
+ */
+function notifyAccessRequestDecision(accessRequest, landingPage, actorId) {
+  const approved = accessRequest.status === 'approved';
+  const pageName = landingPage ? landingPage.name : 'a landing page';
+  return notifyUsers([accessRequest.subAdmin._id || accessRequest.subAdmin], {
+    type: approved ? 'access_request.approved' : 'access_request.rejected',
+    title: approved ? 'Access request approved' : 'Access request rejected',
+    message: approved
+      ? `You now have access to ${pageName}`
+      : `Your request for ${pageName} was rejected: ${accessRequest.rejectionReason}`,
+    landingPage: landingPage ? landingPage._id : undefined,
+    accessRequest: accessRequest._id,
+    actor: actorId
+  });
+}
+
+function notifySubAdminApproved(user, actorId) {
+  return notifyUsers([user._id], {
+    type: 'account.approved',
+    title: 'Account approved',
+    message: 'Your account has been approved. You can now request access to landing pages.',
+    actor: actorId
+  });
+}
+
+/**
+ * Tell a sub admin a lead was assigned to them (not when they assigned it to themselves).
+ * @param {object} lead - Lead with `assignedTo`
+ * @param {string} [actorId] - User who assigned it; none for automatic assignment
+ */
+function notifyLeadAssigned(lead, actorId) {
+  if (!lead.assignedTo) return Promise.resolve([]);
+  const assignee = String(lead.assignedTo._id || lead.assignedTo);
+  if (actorId && String(actorId) === assignee) return Promise.resolve([]);
+
+  const name = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.email;
+  return notifyUsers([assignee], {
+    type: 'lead.assigned',
+    title: 'Lead assigned to you',
+    message: actorId ? `${name} was assigned to you` : `New lead ${name} was assigned to you`,
+    lead: lead._id,
+    landingPage: lead.landingPage._id || lead.landingPage,
+    actor: actorId
+  });
+}
+
+function notifyTaskDue(task) {
+  const overdue = task.dueAt.getTime() < Date.now();
+  return notifyUsers([task.assignedTo._id || task.assignedTo], {
+    type: 'task.due',
+    title: overdue ? 'Task overdue' : 'Task due',
+    message: `${task.title} ${overdue ? 'was due' : 'is due'} ${task.dueAt.toUTCString()}`,
+    task: task._id,
+    lead: task.lead && (task.lead._id || task.lead),
+    landingPage: task.landingPage
+  });
+}
+
+module.exports = {
+  notifyUsers,
+  notifyAccessRequestSubmitted,
+  notifyAccessRequestDecision,
+  notifySubAdminApproved,
+  notifyLeadAssigned,
+  notifyTaskDue
+};
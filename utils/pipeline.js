@@ -0,0 +1,290 @@
+/**
+ * Lead pipeline stages. Each landing page defines its own ordered stages in
+ * `pipelineStages`; pages without a definition use DEFAULT_PIPELINE_STAGES.
+ * `Lead.status` holds the stage key. Stages flagged `isWon` / `isLost` are terminal
+ * and together form the "closed" KPI bucket.
+ *
+ * Transition rules live on the target and source stages: `allowedNext` limits which stages a
+ * lead may move to from a stage (empty = any), and `requiredFields` lists lead fields that
+ * must have a value once a lead enters the stage (e.g. `lostReason`).
+ */
+const Lead = require('../models/Lead');
+const LandingPage = require('../models/LandingPage');
+const { FIELD_NAME_REGEX } = require('./formValidation');
+
+const STAGE_KEY_REGEX = /^[a-z0-9_]+$/;
+
+// Lead fields the status routes and CSV upload accept alongside a stage change
+const TRANSITION_FIELDS = ['lostReason', 'dealValue', 'currency'];
+
+const DEFAULT_PIPELINE_STAGES = [
+  { key: 'new', label: 'New', color: '#3b82f6', order: 0, isWon: false, isLost: false },
+  { key: 'contacted', label: 'Contacted', color: '#f59e0b', order: 1, isWon: false, isLost: false },
+  { key: 'qualified', label: 'Qualified', color: '#8b5cf6', order: 2, isWon: false, isLost: false },
+  { key: 'converted', label: 'Converted', color: '#10b981', order: 3, isWon: true, isLost: false },
+  { key: 'lost', label: 'Lost', color: '#ef4444', order: 4, isWon: false, isLost: true }
+];
+
+function toPlainStage(stage) {
+  const plain = typeof stage.toObject === 'function' ? stage.toObject() : stage;
+  return {
+    key: plain.key,
+    label: plain.label,
+    color: plain.color,
+    order: plain.order || 0,
+    isWon: Boolean(plain.isWon),
+    isLost: Boolean(plain.isLost),
+    allowedNext: [...(plain.allowedNext || [])],
+    requiredFields: [...(plain.requiredFields || [])]
+  };
+}
+
+/**
+ * Ordered stages of a landing page (document or plain object with `pipelineStages`).
+ */
+function getPipelineStages(landingPage) {
+  const stages = (landingPage && landingPage.pipelineStages) || [];
+  if (stages.length === 0) {
+    return DEFAULT_PIPELINE_STAGES.map(toPlainStage);
+  }
+  return stages.map(toPlainStage).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Load a landing page's stages by id.
+ */
+async function getLandingPageStages(landingPageId) {
+  const landingPage = await LandingPage.findById(landingPageId).select('pipelineStages');
+  return getPipelineStages(landingPage);
+}
+
+function findStage(stages, key) {
+  return stages.find((stage) => stage.key === key) || null;
+}
+
+/**
+ * Match free text (CSV cell) to a stage by key or label, case-insensitively.
+ * @returns {object|null} stage
+ */
+function resolveStage(stages, value) {
+  if (value === undefined || value === null) return null;
+  const needle = value.toString().trim().toLowerCase();
+  return stages.find((stage) => stage.key === needle || (stage.label || '').toLowerCase() === needle) || null;
+}
+
+/**
+ * Stage new leads start in: the first non-terminal stage.
+ */
+function getInitialStage(landingPage) {
+  const stages = getPipelineStages(landingPage);
+  return stages.find((stage) => !stage.isWon && !stage.isLost) || stages[0];
+}
+
+function getClosedStageKeys(landingPage) {
+  return getPipelineStages(landingPage)
+    .filter((stage) => stage.isWon || stage.isLost)
+    .map((stage) => stage.key);
+}
+
+/**
+ * Check a pipeline definition before saving it.
+ * @returns {string|null} error message
+ */
+function validatePipelineStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'At least one stage is required';
+  }
+
+  const keys = new Set();
+  for (const [index, stage] of stages.entries()) {
+    if (!stage || typeof stage.key !== 'string' || !STAGE_KEY_REGEX.test(stage.key)) {
+      return `Stage at index ${index} needs a key of lowercase letters, numbers and underscores`;
+    }
+    if (typeof stage.label !== 'string' || stage.label.trim() === '') {
+      return `Stage "${stage.key}" needs a label`;
+    }
+    if (keys.has(stage.key)) {
+      return `Duplicate stage key "${stage.key}"`;
+    }
+    if (stage.isWon && stage.isLost) {
+      return `Stage "${stage.key}" cannot be both won and lost`;
+    }
+    if (stage.requiredFields !== undefined && (
+      !Array.isArray(stage.requiredFields) ||
+      stage.requiredFields.some((field) => typeof field !== 'string' || !FIELD_NAME_REGEX.test(field))
+    )) {
+      return `Stage "${stage.key}" has an invalid requiredFields list`;
+    }
+    keys.add(stage.key);
+  }
+
+  for (const stage of stages) {
+    if (stage.allowedNext === undefined) continue;
+    if (!Array.isArray(stage.allowedNext)) {
+      return `Stage "${stage.key}" allowedNext must be an array of stage keys`;
+    }
+    const unknown = stage.allowedNext.filter((key) => !keys.has(key));
+    if (unknown.length > 0) {
+      return `Stage "${stage.key}" allows moving to unknown stage(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  if (stages.every((stage) => stage.isWon || stage.isLost)) {
+    return 'At least one stage must be open (neither won nor lost)';
+  }
+
+  return null;
+}
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return value.toString().trim() === '';
+}
+
+// Value of a lead field after `updates` are applied; unknown names are read from dynamicFields
+function resolveFieldValue(lead, updates, field) {
+  if (updates && field in updates) return updates[field];
+  if (updates && updates.dynamicFields && field in updates.dynamicFields) return updates.dynamicFields[field];
+  if (lead[field] !== undefined) return lead[field];
+  const dynamicFields = lead.dynamicFields;
+  if (dynamicFields instanceof Map) return dynamicFields.get(field);
+  return dynamicFields ? dynamicFields[field] : undefined;
+}
+
+/**
+ * Transition fields present in a request body or CSV row.
+ */
+function pickTransitionFields(source) {
+  const fields = {};
+  for (const field of TRANSITION_FIELDS) {
+    if (source[field] !== undefined) fields[field] = source[field];
+  }
+  return fields;
+}
+
+/**
+ * Next stages a lead may move to from its current stage.
+ */
+function getAllowedTransitions(stages, fromKey) {
+  const fromStage = findStage(stages, fromKey);
+  if (!fromStage || fromStage.allowedNext.length === 0) {
+    return stages.map((stage) => stage.key).filter((key) => key !== fromKey);
+  }
+  return fromStage.allowedNext.filter((key) => key !== fromKey);
+}
+
+/**
+ * Check moving a lead to stage `toKey` with `updates` applied. Staying in the same stage is
+ * always allowed; a lead in a stage the pipeline no longer defines may move anywhere.
+ * @param {Array} stages - Pipeline of the lead's landing page
+ * @param {object} lead - Lead document or plain object before the update
+ * @param {string} toKey
+ * @param {object} [updates] - Other fields written together with the status
+ * @returns {{ message: string, allowedTransitions: string[], missingFields?: string[] }|null} error
+ */
+function checkStageTransition(stages, lead, toKey, updates = {}) {
+  const fromKey = lead.status;
+  const allowedTransitions = getAllowedTransitions(stages, fromKey);
+  const toStage = findStage(stages, toKey);
+
+  if (!toStage) {
+    return {
+      message: `Invalid status "${toKey}". Valid stages: ${stages.map((stage) => stage.key).join(', ')}`,
+      allowedTransitions
+    };
+  }
+
+  if (toKey === fromKey) return null;
+
+  if (!allowedTransitions.includes(toKey)) {
+    return {
+      message: `Cannot move lead from "${fromKey}" to "${toKey}". Allowed next stages: ${allowedTransitions.join(', ') || 'none'}`,
+      allowedTransitions
+    };
+  }
+
+  const missingFields = toStage.requiredFields.filter((field) => isEmptyValue(resolveFieldValue(lead, updates, field)));
+  if (missingFields.length > 0) {
+    return {
+      message: `Moving to "${toKey}" requires: ${missingFields.join(', ')}`,
+      allowedTransitions,
+      missingFields
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Count leads per stage across the landing pages in `match`. Leads are classified with
+ * their own page's stages; stages with the same key on several pages are combined, and
+ * statuses no page defines are reported as open stages labelled with their key.
+ * @param {object} match - Lead filter
+ * @param {Array} [landingPageIds] - Pages whose stages are listed even without leads
+ * @returns {Promise<{ total: number, open: number, won: number, lost: number, closed: number,
+ *   stages: Array<{ key: string, label: string, color: string, isWon: boolean, isLost: boolean, count: number }> }>}
+ */
+async function summarizeLeadStages(match, landingPageIds = []) {
+  const rows = await Lead.aggregate([
+    { $match: match },
+    { $group: { _id: { landingPage: '$landingPage', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const pageIds = new Set(landingPageIds.map((id) => id.toString()));
+  rows.forEach((row) => pageIds.add(row._id.landingPage.toString()));
+
+  const pages = pageIds.size > 0
+    ? await LandingPage.find({ _id: { $in: Array.from(pageIds) } }).select('pipelineStages')
+    : [];
+  const stagesByPage = new Map(pages.map((page) => [page._id.toString(), getPipelineStages(page)]));
+
+  // Union of stages in page order; defaults when no page is in scope
+  const combined = new Map();
+  const addStage = (stage) => {
+    if (!combined.has(stage.key)) {
+      combined.set(stage.key, { key: stage.key, label: stage.label, color: stage.color, isWon: stage.isWon, isLost: stage.isLost, count: 0 });
+    }
+    return combined.get(stage.key);
+  };
+  (stagesByPage.size > 0 ? Array.from(stagesByPage.values()).flat() : DEFAULT_PIPELINE_STAGES).forEach(addStage);
+
+  const summary = { total: 0, open: 0, won: 0, lost: 0, closed: 0, stages: [] };
+
+  for (const row of rows) {
+    const key = row._id.status || 'new';
+    const pageStages = stagesByPage.get(row._id.landingPage.toString()) || DEFAULT_PIPELINE_STAGES;
+    const stage = findStage(pageStages, key) || { key, label: key, isWon: false, isLost: false };
+
+    addStage(stage).count += row.count;
+    summary.total += row.count;
+    if (stage.isWon) {
+      summary.won += row.count;
+    } else if (stage.isLost) {
+      summary.lost += row.count;
+    } else {
+      summary.open += row.count;
+    }
+  }
+
+  summary.closed = summary.won + summary.lost;
+  summary.stages = Array.from(combined.values());
+  return summary;
+}
+
+module.exports = {
+  STAGE_KEY_REGEX,
+  TRANSITION_FIELDS,
+  DEFAULT_PIPELINE_STAGES,
+  getPipelineStages,
+  getLandingPageStages,
+  findStage,
+  resolveStage,
+  getInitialStage,
+  getClosedStageKeys,
+  validatePipelineStages,
+  pickTransitionFields,
+  getAllowedTransitions,
+  checkStageTransition,
+  summarizeLeadStages
+};
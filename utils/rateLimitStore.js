@@ -0,0 +1,101 @@
+/**
+ * Fixed-window counters for rate limiting.
+ * In-memory by default; MongoDB-backed on serverless (Vercel) where memory is not shared
+ * between invocations. Override with RATE_LIMIT_STORE=memory|mongo.
+ */
+const RateLimit = require('../models/RateLimit');
+
+function createMemoryStore() {
+  const windows = new Map();
+
+  return {
+    /**
+     * @param {string} key
+     * @param {number} windowMs
+     * @returns {Promise<{ count: number, resetAt: Date }>}
+     */
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+
+      // Drop expired windows now and then so the map doesn't grow forever
+      if (windows.size > 10000) {
+        for (const [k, v] of windows) {
+          if (v.resetAt <= now) windows.delete(k);
+        }
+      }
+
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    /**
+     * Current count without incrementing it.
+     * @param {string} key
+     * @param {number} windowMs
+     * @returns {Promise<{ count: number, resetAt: Date|null }>}
+     */
+    async get(key, windowMs) {
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= Date.now()) {
+        return { count: 0, resetAt: null };
+      }
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+function createMongoStore() {
+  const bucketKey = (key, windowMs) => `${key}:${Math.floor(Date.now() / windowMs)}`;
+
+  return {
+    async increment(key, windowMs) {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = new Date(windowStart + windowMs);
+      const filter = { key: bucketKey(key, windowMs) };
+      let record;
+      try {
+        record = await RateLimit.findOneAndUpdate(
+          filter,
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+          { upsert: true, new: true }
+        );
+      } catch (err) {
+        // Two first hits on a window can both try to insert it; the loser counts on the winner's document
+        if (err.code !== 11000) throw err;
+        record = await RateLimit.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true });
+      }
+      return { count: record.count, resetAt };
+    },
+
+    async get(key, windowMs) {
+      const record = await RateLimit.findOne({ key: bucketKey(key, windowMs) });
+      return record ? { count: record.count, resetAt: record.expiresAt } : { count: 0, resetAt: null };
+    },
+
+    async reset(key) {
+      const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      await RateLimit.deleteMany({ key: { $regex: `^${escaped}:` } });
+    }
+  };
+}
+
+let store = null;
+
+function getRateLimitStore() {
+  if (store) return store;
+  const configured = (process.env.RATE_LIMIT_STORE || '').toLowerCase();
+  const useMongo = configured ? configured === 'mongo' : Boolean(process.env.VERCEL);
+  store = useMongo ? createMongoStore() : createMemoryStore();
+  return store;
+}
+
+module.exports = { getRateLimitStore, createMemoryStore, createMongoStore };
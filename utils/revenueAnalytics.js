@@ -0,0 +1,274 @@
+/**
+ * Revenue analytics from lead deal fields (dealValue, currency, probability, expectedCloseDate).
+ * Leads are classified with their own landing page's pipeline: open stages make up the
+ * pipeline value, won stages the revenue. Amounts are never summed across currencies.
+ */
+const Lead = require('../models/Lead');
+const LandingPage = require('../models/LandingPage');
+const { getPipelineStages } = require('./pipeline');
+
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+// Lead fields edited through the update routes and CSV import
+const DEAL_FIELDS = ['dealValue', 'currency', 'expectedCloseDate', 'probability'];
+
+function getDefaultCurrency() {
+  return (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+}
+
+/**
+ * Parse deal fields from a CSV row (string values).
+ * @returns {{ values: object, errors: string[] }}
+ */
+function parseDealFields(source) {
+  const values = {};
+  const errors = [];
+
+  if (source.dealValue !== undefined) {
+    const dealValue = Number(String(source.dealValue).replace(/[,\s]/g, ''));
+    if (!Number.isFinite(dealValue) || dealValue < 0) {
+      errors.push(`invalid deal value "${source.dealValue}"`);
+    } else {
+      values.dealValue = dealValue;
+    }
+  }
+
+  if (source.currency !== undefined) {
+    const currency = String(source.currency).trim().toUpperCase();
+    if (!CURRENCY_REGEX.test(currency)) {
+      errors.push(`invalid currency "${source.currency}"`);
+    } else {
+      values.currency = currency;
+    }
+  }
+
+  if (source.expectedCloseDate !== undefined) {
+    const date = new Date(source.expectedCloseDate);
+    if (isNaN(date.getTime())) {
+      errors.push(`invalid expected close date "${source.expectedCloseDate}"`);
+    } else {
+      values.expectedCloseDate = date;
+    }
+  }
+
+  if (source.probability !== undefined) {
+    const probability = Number(String(source.probability).replace('%', '').trim());
+    if (!Number.isFinite(probability) || probability < 0 || probability > 100) {
+      errors.push(`invalid probability "${source.probability}"`);
+    } else {
+      values.probability = probability;
+    }
+  }
+
+  return { values, errors };
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function emptyTotals(currency) {
+  return {
+    currency,
+    pipelineValue: 0,
+    weightedPipelineValue: 0,
+    openDeals: 0,
+    wonRevenue: 0,
+    wonDeals: 0,
+    lostValue: 0,
+    lostDeals: 0,
+    averageDealSize: 0
+  };
+}
+
+function finalizeTotals(totals) {
+  return {
+    ...totals,
+    pipelineValue: round(totals.pipelineValue),
+    weightedPipelineValue: round(totals.weightedPipelineValue),
+    wonRevenue: round(totals.wonRevenue),
+    lostValue: round(totals.lostValue),
+    averageDealSize: totals.wonDeals > 0 ? round(totals.wonRevenue / totals.wonDeals) : 0
+  };
+}
+
+function getEmptyRevenueData() {
+  return {
+    currency: getDefaultCurrency(),
+    totals: [],
+    byLandingPage: [],
+    wonOverTime: { daily: [], monthly: [], yearly: [] },
+    expectedByMonth: []
+  };
+}
+
+/**
+ * Pipeline value, won revenue and average deal size for the leads in `match`, in total,
+ * per landing page and per period (won revenue by the date the lead entered its won stage;
+ * open pipeline by expected close month).
+ * @param {object} match - Lead filter
+ */
+async function getRevenueAnalytics(match) {
+  const defaultCurrency = getDefaultCurrency();
+  const dealMatch = { $and: [match, { dealValue: { $ne: null } }] };
+
+  const pageIds = await Lead.distinct('landingPage', dealMatch);
+  if (pageIds.length === 0) return getEmptyRevenueData();
+
+  const pages = await LandingPage.find({ _id: { $in: pageIds } }).select('name pipelineStages');
+  const pageInfo = new Map(pages.map((page) => {
+    const stages = getPipelineStages(page);
+    return [page._id.toString(), {
+      _id: page._id,
+      name: page.name,
+      won: stages.filter((stage) => stage.isWon).map((stage) => stage.key),
+      lost: stages.filter((stage) => stage.isLost).map((stage) => stage.key)
+    }];
+  }));
+
+  const currencyExpr = { $ifNull: ['$currency', defaultCurrency] };
+  const rows = await Lead.aggregate([
+    { $match: dealMatch },
+    {
+      $group: {
+        _id: { landingPage: '$landingPage', status: '$status', currency: currencyExpr },
+        value: { $sum: '$dealValue' },
+        weighted: {
+          $sum: { $multiply: ['$dealValue', { $divide: [{ $ifNull: ['$probability', 0] }, 100] }] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totalsByCurrency = new Map();
+  const totalsByPage = new Map();
+  const totalsFor = (map, key, currency) => {
+    if (!map.has(key)) map.set(key, emptyTotals(currency));
+    return map.get(key);
+  };
+
+  for (const row of rows) {
+    const pageId = row._id.landingPage.toString();
+    const info = pageInfo.get(pageId);
+    if (!info) continue; // landing page was deleted
+    const currency = row._id.currency;
+
+    for (const totals of [totalsFor(totalsByCurrency, currency, currency), totalsFor(totalsByPage, `${pageId}:${currency}`, currency)]) {
+      if (info.won.includes(row._id.status)) {
+        totals.wonRevenue += row.value;
+        totals.wonDeals += row.count;
+      } else if (info.lost.includes(row._id.status)) {
+        totals.lostValue += row.value;
+        totals.lostDeals += row.count;
+      } else {
+        totals.pipelineValue += row.value;
+        totals.weightedPipelineValue += row.weighted;
+        totals.openDeals += row.count;
+      }
+    }
+  }
+
+  const byLandingPage = Array.from(totalsByPage.entries())
+    .map(([key, totals]) => {
+      const info = pageInfo.get(key.split(':')[0]);
+      return {
+        landingPage: { _id: info._id, name: info.name },
+        ...finalizeTotals(totals)
+      };
+    })
+    .sort((a, b) => b.wonRevenue - a.wonRevenue || b.pipelineValue - a.pipelineValue);
+
+  // Per-page won / closed stage keys, for period breakdowns
+  const stageMatch = (kind) => {
+    const conditions = Array.from(pageInfo.values())
+      .filter((info) => info[kind].length > 0)
+      .map((info) => ({ landingPage: info._id, status: { $in: info[kind] } }));
+    return conditions.length > 0 ? { $or: conditions } : null;
+  };
+  const wonMatch = stageMatch('won');
+  const closedConditions = [wonMatch, stageMatch('lost')].filter(Boolean).flatMap((m) => m.$or);
+
+  const wonSeries = (format) => {
+    if (!wonMatch) return [];
+    return Lead.aggregate([
+      { $match: { $and: [dealMatch, wonMatch] } },
+      {
+        $group: {
+          _id: {
+            period: {
+              $dateToString: { format, date: { $ifNull: ['$statusChangedAt', '$updatedAt'] }, timezone: 'UTC' }
+            },
+            currency: currencyExpr
+          },
+          wonRevenue: { $sum: '$dealValue' },
+          wonDeals: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.currency': 1 } },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id.period',
+          currency: '$_id.currency',
+          wonRevenue: { $round: ['$wonRevenue', 2] },
+          wonDeals: 1,
+          averageDealSize: { $round: [{ $divide: ['$wonRevenue', '$wonDeals'] }, 2] }
+        }
+      }
+    ]);
+  };
+
+  const openMatch = closedConditions.length > 0
+    ? { $and: [dealMatch, { expectedCloseDate: { $ne: null } }, { $nor: closedConditions }] }
+    : { $and: [dealMatch, { expectedCloseDate: { $ne: null } }] };
+
+  const [daily, monthly, yearly, expectedByMonth] = await Promise.all([
+    wonSeries('%Y-%m-%d'),
+    wonSeries('%Y-%m'),
+    wonSeries('%Y'),
+    Lead.aggregate([
+      { $match: openMatch },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: '%Y-%m', date: '$expectedCloseDate', timezone: 'UTC' } },
+            currency: currencyExpr
+          },
+          pipelineValue: { $sum: '$dealValue' },
+          weightedPipelineValue: {
+            $sum: { $multiply: ['$dealValue', { $divide: [{ $ifNull: ['$probability', 0] }, 100] }] }
+          },
+          openDeals: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.currency': 1 } },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id.period',
+          currency: '$_id.currency',
+          pipelineValue: { $round: ['$pipelineValue', 2] },
+          weightedPipelineValue: { $round: ['$weightedPipelineValue', 2] },
+          openDeals: 1
+        }
+      }
+    ])
+  ]);
+
+  return {
+    currency: defaultCurrency,
+    totals: Array.from(totalsByCurrency.values()).map(finalizeTotals),
+    byLandingPage,
+    wonOverTime: { daily, monthly, yearly },
+    expectedByMonth
+  };
+}
+
+module.exports = {
+  DEAL_FIELDS,
+  getDefaultCurrency,
+  parseDealFields,
+  getEmptyRevenueData,
+  getRevenueAnalytics
+};
@@ -0,0 +1,265 @@
+/**
+ * Drip email sequences (`Sequence`) for new leads. A lead is enrolled in every active sequence
+ * of its landing page when it is created (`POST /api/leads`); each step is a delayed job on the
+ * job queue (utils/jobQueue.js), so the `/api/cron/jobs` endpoint or `scripts/jobWorker.js` sends
+ * it when it is due. A sent step schedules the next one after that step's delay.
+ *
+ * Before every send the stop conditions are checked: the lead unsubscribed, its status moved past
+ * the page's initial stage or reached one of the sequence's stop statuses, or the sequence was
+ * deactivated. A stopped enrollment cancels its remaining steps. Steps are rendered when they are
+ * sent, with the same `{{placeholders}}` as auto-reply templates.
+ *
+ * A step job claims its step (pending -> sending) before sending, so a job that runs again (a
+ * retried dead job, an expired lock) neither sends the step twice nor schedules the next step again.
+ */
+const Lead = require('../models/Lead');
+const LandingPage = require('../models/LandingPage');
+const Sequence = require('../models/Sequence');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
+const { sendLeadAutoReply, getTransporter } = require('./email');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { buildTemplateVariables, renderTemplate } = require('./autoReplyTemplates');
+const { getInitialStage } = require('./pipeline');
+
+const SEQUENCE_STEP_JOB_TYPE = 'lead.sequence.step';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Why a lead's sequence should stop now, or null to keep sending.
+ */
+function getStopReason(sequence, lead, landingPage) {
+  if (lead.unsubscribedAt) {
+    return 'Lead unsubscribed';
+  }
+  if (!sequence || !sequence.isActive) {
+    return 'Sequence deactivated';
+  }
+
+  const conditions = sequence.stopConditions || {};
+  if ((conditions.statuses || []).includes(lead.status)) {
+    return `Status is ${lead.status}`;
+  }
+  if (conditions.statusChange !== false && landingPage && lead.status !== getInitialStage(landingPage).key) {
+    return `Status changed to ${lead.status}`;
+  }
+  return null;
+}
+
+/**
+ * Stop an enrollment and cancel its pending steps. Queued step jobs find it stopped and do nothing.
+ */
+function stopEnrollment(enrollmentId, reason) {
+  return SequenceEnrollment.findOneAndUpdate(
+    { _id: enrollmentId, status: 'active' },
+    {
+      $set: {
+        status: 'stopped',
+        stopReason: reason,
+        stoppedAt: new Date(),
+        'steps.$[pending].status': 'cancelled'
+      }
+    },
+    { new: true, arrayFilters: [{ 'pending.status': 'pending' }] }
+  );
+}
+
+/**
+ * Stop all active sequences of a lead (e.g. when it unsubscribes).
+ */
+async function stopLeadSequences(leadId, reason) {
+  const enrollments = await SequenceEnrollment.find({ lead: leadId, status: 'active' }).select('_id');
+  await Promise.all(enrollments.map((enrollment) => stopEnrollment(enrollment._id, reason)));
+  return enrollments.length;
+}
+
+/**
+ * Queue a step of an enrollment to run at `scheduledAt`.
+ */
+async function scheduleStep(enrollment, stepIndex, scheduledAt) {
+  const job = await enqueueJob(SEQUENCE_STEP_JOB_TYPE, {
+    enrollment: enrollment._id.toString(),
+    step: stepIndex
+  }, { lead: enrollment.lead, runAt: scheduledAt });
+
+  await SequenceEnrollment.updateOne(
+    { _id: enrollment._id, 'steps.step': stepIndex },
+    { $set: { 'steps.$.job': job._id, 'steps.$.scheduledAt': scheduledAt } }
+  );
+  return job;
+}
+
+/**
+ * Enroll a new lead in the active sequences of its landing page. Never throws; errors are
+ * logged so lead creation always succeeds.
+ * @param {import('mongoose').Document} lead - saved Lead document
+ * @param {object} landingPage
+ */
+async function enrollLeadInSequences(lead, landingPage) {
+  let sequences;
+  try {
+    sequences = await Sequence.find({ landingPage: landingPage._id, isActive: true });
+  } catch (err) {
+    console.error('[Sequences] Could not load sequences:', err.message || err);
+    return;
+  }
+
+  for (const sequence of sequences) {
+    try {
+      // Planned send times; each later step is rescheduled from the previous step's actual send
+      let at = Date.now();
+      const steps = sequence.steps.map((step, index) => {
+        at += step.delayMinutes * MINUTE_MS;
+        return { step: index, scheduledAt: new Date(at), subject: step.subject };
+      });
+
+      const enrollment = await SequenceEnrollment.create({
+        sequence: sequence._id,
+        lead: lead._id,
+        landingPage: landingPage._id,
+        steps
+      });
+
+      const stopReason = !lead.email ? 'No email address' : getStopReason(sequence, lead, landingPage);
+      if (stopReason) {
+        await stopEnrollment(enrollment._id, stopReason);
+        continue;
+      }
+
+      await scheduleStep(enrollment, 0, steps[0].scheduledAt);
+    } catch (err) {
+      console.error(`[Sequences] Could not enroll lead ${lead._id} in sequence ${sequence._id}:`, err.message || err);
+    }
+  }
+}
+
+function updateStep(enrollmentId, stepIndex, fields) {
+  const set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    set[`steps.$.${key}`] = value;
+  }
+  return SequenceEnrollment.updateOne({ _id: enrollmentId, 'steps.step': stepIndex }, { $set: set });
+}
+
+/**
+ * Queue the step after `stepIndex`, or complete the enrollment after the last one.
+ */
+async function advanceEnrollment(enrollment, sequence, stepIndex) {
+  const nextIndex = stepIndex + 1;
+  const nextStep = sequence.steps[nextIndex];
+  if (!nextStep) {
+    await SequenceEnrollment.updateOne(
+      { _id: enrollment._id, status: 'active' },
+      { status: 'completed', completedAt: new Date() }
+    );
+    return;
+  }
+
+  // Steps added to the sequence after the lead was enrolled
+  if (!enrollment.steps.some((step) => step.step === nextIndex)) {
+    await SequenceEnrollment.updateOne(
+      { _id: enrollment._id },
+      { $push: { steps: { step: nextIndex, subject: nextStep.subject } } }
+    );
+  }
+
+  await scheduleStep(enrollment, nextIndex, new Date(Date.now() + nextStep.delayMinutes * MINUTE_MS));
+}
+
+registerJobHandler(SEQUENCE_STEP_JOB_TYPE, async ({ enrollment: enrollmentId, step: stepIndex }, job) => {
+  const enrollment = await SequenceEnrollment.findById(enrollmentId);
+  if (!enrollment || enrollment.status !== 'active') {
+    return { skipped: 'Enrollment is no longer active' };
+  }
+
+  const enrollmentStep = enrollment.steps.find((entry) => entry.step === stepIndex);
+  if (!enrollmentStep || enrollmentStep.status !== 'pending') {
+    return { skipped: 'Step already handled' };
+  }
+
+  const [lead, sequence, landingPage] = await Promise.all([
+    Lead.findById(enrollment.lead),
+    Sequence.findById(enrollment.sequence),
+    LandingPage.findById(enrollment.landingPage)
+  ]);
+  if (!lead) {
+    await stopEnrollment(enrollment._id, 'Lead deleted');
+    return { skipped: 'Lead deleted' };
+  }
+
+  const stopReason = getStopReason(sequence, lead, landingPage);
+  if (stopReason) {
+    await stopEnrollment(enrollment._id, stopReason);
+    return { skipped: stopReason };
+  }
+
+  const step = sequence.steps[stepIndex];
+  if (!step) {
+    // The sequence was shortened after the lead was enrolled
+    await stopEnrollment(enrollment._id, 'Step removed from the sequence');
+    return { skipped: 'Step removed from the sequence' };
+  }
+
+  // Only the job that claims the step sends it and moves the enrollment on
+  const claim = await SequenceEnrollment.updateOne(
+    { _id: enrollment._id, steps: { $elemMatch: { step: stepIndex, status: 'pending' } } },
+    { $set: { 'steps.$.status': 'sending' } }
+  );
+  if (claim.modifiedCount !== 1) {
+    return { skipped: 'Step already handled' };
+  }
+
+  if (!getTransporter()) {
+    await updateStep(enrollment._id, stepIndex, { status: 'skipped', error: 'Email is not configured' });
+    await advanceEnrollment(enrollment, sequence, stepIndex);
+    return { skipped: 'Email is not configured' };
+  }
+
+  const variables = buildTemplateVariables(lead, landingPage);
+  const message = {
+    to: lead.email,
+    lead: lead._id,
+    subject: renderTemplate(step.subject, variables, { singleLine: true }),
+    html: renderTemplate(step.html, variables, { html: true }),
+    text: renderTemplate(step.text, variables)
+  };
+
+  let result;
+  try {
+    result = await sendLeadAutoReply(message);
+  } catch (err) {
+    const error = err.message || String(err);
+    if (job.attempts < job.maxAttempts) {
+      // Release the claim so the retry can send
+      await updateStep(enrollment._id, stepIndex, { status: 'pending', error });
+      throw err;
+    }
+    // Out of attempts: record the failure and carry on with the next step
+    await updateStep(enrollment._id, stepIndex, { status: 'failed', error });
+    await advanceEnrollment(enrollment, sequence, stepIndex);
+    throw err;
+  }
+
+  if (result.skipped) {
+    await updateStep(enrollment._id, stepIndex, { status: 'skipped', error: result.skipped });
+    await stopEnrollment(enrollment._id, result.skipped);
+    return result;
+  }
+
+  await updateStep(enrollment._id, stepIndex, {
+    status: 'sent',
+    subject: message.subject,
+    sentAt: new Date(),
+    error: null
+  });
+  await advanceEnrollment(enrollment, sequence, stepIndex);
+  return { sent: true };
+});
+
+module.exports = {
+  SEQUENCE_STEP_JOB_TYPE,
+  enrollLeadInSequences,
+  stopEnrollment,
+  stopLeadSequences,
+  getStopReason
+};
@@ -0,0 +1,170 @@
+/**
+ * Anti-spam layer for the public lead endpoint.
+ * - Rate limits per IP and per trackingKey (hard reject with 429)
+ * - Scored checks (honeypot, time-to-submit token, plus any registered via registerSpamCheck)
+ *   whose total becomes Lead.spamScore; at or above the page's threshold the lead is flagged isSpam.
+ *
+ * Form tokens are signed with LEAD_FORM_TOKEN_SECRET (falls back to JWT_SECRET), expire after
+ * two hours and work for one submission: each carries a random nonce that is recorded in
+ * `UsedFormToken` when it is submitted.
+ */
+const crypto = require('crypto');
+const UsedFormToken = require('../models/UsedFormToken');
+const { getRateLimitStore } = require('./rateLimitStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FORM_TOKEN_MAX_AGE_MS = 2 * HOUR_MS;
+
+function getTokenSecret() {
+  return process.env.LEAD_FORM_TOKEN_SECRET || process.env.JWT_SECRET || '';
+}
+
+function signFormToken(trackingKey, issuedAt, nonce) {
+  return crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(`${trackingKey}.${issuedAt}.${nonce}`)
+    .digest('hex');
+}
+
+/**
+ * Issue a token the landing page embeds in the form when it renders.
+ * @param {string} trackingKey
+ * @returns {string} `<issuedAt>.<nonce>.<signature>`
+ */
+function createFormToken(trackingKey) {
+  const issuedAt = Date.now();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return `${issuedAt}.${nonce}.${signFormToken(trackingKey, issuedAt, nonce)}`;
+}
+
+/**
+ * Check a token's signature and age (not whether it was used before; see consumeFormToken).
+ * @returns {{ issuedAt: number, nonce: string }|null} token data if it is valid for this trackingKey
+ */
+function verifyFormToken(token, trackingKey) {
+  if (!token || typeof token !== 'string') return null;
+  const [issuedAtRaw, nonce, signature] = token.split('.');
+  const issuedAt = Number(issuedAtRaw);
+  if (!Number.isFinite(issuedAt) || !nonce || !signature) return null;
+
+  const expected = signFormToken(trackingKey, issuedAt, nonce);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  if (Date.now() - issuedAt > FORM_TOKEN_MAX_AGE_MS) return null;
+  return { issuedAt, nonce };
+}
+
+/**
+ * Record a verified token as used.
+ * @returns {Promise<boolean>} false when it was used before
+ */
+async function consumeFormToken({ issuedAt, nonce }) {
+  try {
+    await UsedFormToken.create({ nonce, expiresAt: new Date(issuedAt + FORM_TOKEN_MAX_AGE_MS) });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Filled honeypot: only bots see and fill the hidden input
+function honeypotCheck({ landingPage, formData }) {
+  const field = landingPage.spamProtection && landingPage.spamProtection.honeypotField;
+  if (!field) return null;
+  const value = formData[field];
+  if (value !== undefined && value !== null && value.toString().trim() !== '') {
+    return { score: 100, reason: 'honeypot_filled' };
+  }
+  return null;
+}
+
+// Time between rendering the form (token issue) and submitting it; each token counts once
+async function submitTimeCheck({ landingPage, formToken }) {
+  const minSeconds = (landingPage.spamProtection && landingPage.spamProtection.minSubmitSeconds) || 0;
+  if (minSeconds <= 0) return null;
+
+  const token = verifyFormToken(formToken, landingPage.trackingKey);
+  if (!token) {
+    return { score: 50, reason: 'invalid_form_token' };
+  }
+  if (!(await consumeFormToken(token))) {
+    return { score: 50, reason: 'reused_form_token' };
+  }
+  if (Date.now() - token.issuedAt < minSeconds * 1000) {
+    return { score: 60, reason: 'submitted_too_fast' };
+  }
+  return null;
+}
+
+const spamChecks = [honeypotCheck, submitTimeCheck];
+
+/**
+ * Add a scored check. Checks receive { landingPage, formData, formToken, req } and
+ * return { score, reason } or null; they may be async.
+ */
+function registerSpamCheck(check) {
+  spamChecks.push(check);
+}
+
+/**
+ * Run every registered check and total the score.
+ * @returns {Promise<{ spamScore: number, isSpam: boolean, spamReasons: string[] }>}
+ */
+async function evaluateSpam(context) {
+  let spamScore = 0;
+  const spamReasons = [];
+
+  for (const check of spamChecks) {
+    try {
+      const result = await check(context);
+      if (result && result.score) {
+        spamScore += result.score;
+        spamReasons.push(result.reason);
+      }
+    } catch (err) {
+      console.error('[Spam check] failed:', err.message || err);
+    }
+  }
+
+  const threshold = (context.landingPage.spamProtection && context.landingPage.spamProtection.spamThreshold) || 50;
+  return { spamScore, isSpam: spamScore >= threshold, spamReasons };
+}
+
+/**
+ * Per-IP and per-trackingKey hourly limits. A limit of 0 disables it.
+ * @returns {Promise<{ limited: boolean, retryAfter?: number }>} retryAfter in seconds
+ */
+async function checkSubmissionRateLimits({ ip, landingPage }) {
+  const config = landingPage.spamProtection || {};
+  const store = getRateLimitStore();
+  const limits = [
+    { key: `lead:ip:${landingPage.trackingKey}:${ip}`, max: config.maxPerIpPerHour },
+    { key: `lead:tk:${landingPage.trackingKey}`, max: config.maxPerTrackingKeyPerHour }
+  ];
+
+  for (const { key, max } of limits) {
+    if (!max || max <= 0) continue;
+    const { count, resetAt } = await store.increment(key, HOUR_MS);
+    if (count > max) {
+      return {
+        limited: true,
+        retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+      };
+    }
+  }
+
+  return { limited: false };
+}
+
+module.exports = {
+  createFormToken,
+  verifyFormToken,
+  evaluateSpam,
+  registerSpamCheck,
+  checkSubmissionRateLimits
+};
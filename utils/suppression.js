@@ -0,0 +1,172 @@
+/**
+ * Global suppression list for outbound messaging (`Suppression`). Every sender in utils/email.js
+ * and utils/whatsapp.js checks it before sending. Emails get on the list through the signed
+ * unsubscribe link added to every auto-reply and sequence email (`/api/unsubscribe`); emails and
+ * phone numbers can also be added by a super admin (`/api/suppressions`).
+ *
+ * Unsubscribe tokens are signed with UNSUBSCRIBE_SECRET (falls back to JWT_SECRET) and do not
+ * expire. Links point to PUBLIC_API_URL, or on Vercel to the project's production domain; when
+ * neither is known, auto-reply and sequence emails are not sent at all.
+ */
+const crypto = require('crypto');
+const Suppression = require('../models/Suppression');
+const Lead = require('../models/Lead');
+const { logLeadActivity } = require('./leadActivity');
+
+const SUPPRESSION_CHANNELS = ['email', 'phone'];
+
+function getTokenSecret() {
+  return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '';
+}
+
+/**
+ * Canonical form of an email (lower-cased) or phone number (E.164), or null when invalid.
+ */
+function normalizeSuppressionValue(channel, value) {
+  if (!value || typeof value !== 'string') return null;
+  if (channel === 'email') {
+    return value.trim().toLowerCase() || null;
+  }
+
+  // Required here: utils/whatsapp.js requires this module
+  const { normalizeWhatsAppTo } = require('./whatsapp');
+  const defaultCountryCode = (process.env.LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '') || undefined;
+  return normalizeWhatsAppTo({ raw: value, defaultCountryCode });
+}
+
+/**
+ * @param {'email'|'phone'} channel
+ * @param {string} value - email address or phone number
+ * @returns {Promise<boolean>}
+ */
+async function isSuppressed(channel, value) {
+  const normalized = normalizeSuppressionValue(channel, value);
+  if (!normalized) return false;
+  return Boolean(await Suppression.exists({ channel, value: normalized }));
+}
+
+/**
+ * Mark every lead with this email unsubscribed and stop their drip sequences.
+ */
+async function unsubscribeLeads(email, reason) {
+  // Required here: utils/sequences.js sends through utils/email.js, which requires this module
+  const { stopLeadSequences } = require('./sequences');
+
+  const leads = await Lead.find({ email, unsubscribedAt: null }).select('_id landingPage');
+  if (leads.length === 0) return 0;
+
+  await Lead.updateMany({ _id: { $in: leads.map((lead) => lead._id) } }, { unsubscribedAt: new Date() });
+  for (const lead of leads) {
+    await stopLeadSequences(lead._id, 'Lead unsubscribed');
+    await logLeadActivity({
+      lead,
+      type: 'update',
+      content: 'Unsubscribed from emails',
+      metadata: { reason }
+    });
+  }
+  return leads.length;
+}
+
+/**
+ * Add an email or phone number to the suppression list (no-op when it is already there).
+ * Suppressing an email also unsubscribes the leads with that email.
+ * @param {object} opts
+ * @param {'email'|'phone'} opts.channel
+ * @param {string} opts.value
+ * @param {'unsubscribed'|'manual'} [opts.reason]
+ * @param {string} [opts.note]
+ * @param {string} [opts.lead]
+ * @param {string} [opts.createdBy]
+ * @returns {Promise<object|null>} Suppression, or null when the value is invalid
+ */
+async function addSuppression({ channel, value, reason = 'manual', note, lead, createdBy }) {
+  const normalized = normalizeSuppressionValue(channel, value);
+  if (!normalized) return null;
+
+  const insert = { channel, value: normalized, reason };
+  if (note) insert.note = note;
+  if (lead) insert.lead = lead;
+  if (createdBy) insert.createdBy = createdBy;
+
+  const suppression = await Suppression.findOneAndUpdate(
+    { channel, value: normalized },
+    { $setOnInsert: insert },
+    { upsert: true, new: true }
+  );
+
+  if (channel === 'email') {
+    await unsubscribeLeads(normalized, reason);
+  }
+  return suppression;
+}
+
+function signUnsubscribeToken(payload) {
+  return crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(`unsubscribe.${payload}`)
+    .digest('hex');
+}
+
+/**
+ * @param {string} email
+ * @param {string} [leadId] - Lead the email was sent to
+ * @returns {string} `<payload>.<signature>`
+ */
+function createUnsubscribeToken(email, leadId) {
+  const data = { email: normalizeSuppressionValue('email', email) };
+  if (leadId) data.lead = String(leadId);
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${signUnsubscribeToken(payload)}`;
+}
+
+/**
+ * @returns {{ email: string, lead?: string }|null} token data if the signature is valid
+ */
+function verifyUnsubscribeToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = signUnsubscribeToken(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data && typeof data.email === 'string' && data.email ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Public URL of this API: PUBLIC_API_URL, else the production domain Vercel sets
+function getPublicApiUrl() {
+  if (process.env.PUBLIC_API_URL) return process.env.PUBLIC_API_URL;
+  const vercelHost = process.env.VERCEL_PROJECT_PRODUCTION_URL || process.env.VERCEL_URL;
+  return vercelHost ? `https://${vercelHost}` : null;
+}
+
+/**
+ * Public unsubscribe link for an email, or null when the public URL of the API is unknown.
+ */
+function buildUnsubscribeUrl(email, leadId) {
+  const base = getPublicApiUrl();
+  if (!base || !email) return null;
+  const token = createUnsubscribeToken(email, leadId);
+  return `${base.replace(/\/+$/, '')}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  SUPPRESSION_CHANNELS,
+  normalizeSuppressionValue,
+  isSuppressed,
+  addSuppression,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl
+};
@@ -0,0 +1,83 @@
+/**
+ * Reminder sweep for follow-up tasks. Notifies the assignee of every open task whose
+ * `remindAt` has passed, once per task (again after its due or reminder time changes):
+ * an in-app notification, plus an email when SMTP is configured.
+ *
+ * Run it from `scripts/sendTaskReminders.js` or the `/api/cron/task-reminders` endpoint.
+ */
+const Task = require('../models/Task');
+const { getTransporter, sendTaskReminder } = require('./email');
+const { notifyTaskDue } = require('./notifications');
+
+// Failed sends are retried on later sweeps up to this many times
+const MAX_REMINDER_ATTEMPTS = 3;
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - Maximum reminders per run
+ * @returns {Promise<{ sent: number, failed: number, skipped: number, emailConfigured: boolean }>}
+ */
+async function sendDueTaskReminders({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const result = { sent: 0, failed: 0, skipped: 0, emailConfigured: Boolean(getTransporter()) };
+
+  const now = new Date();
+  const due = await Task.find({
+    status: 'open',
+    reminderSentAt: null,
+    remindAt: { $lte: now },
+    reminderAttempts: { $lt: MAX_REMINDER_ATTEMPTS }
+  })
+    .sort({ remindAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  for (const { _id } of due) {
+    // Claim the task so overlapping sweeps do not send twice
+    const task = await Task.findOneAndUpdate(
+      { _id, reminderSentAt: null },
+      { reminderSentAt: now, $inc: { reminderAttempts: 1 } },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email status')
+      .populate('lead', 'firstName lastName email phone');
+
+    if (!task) continue;
+
+    if (!task.assignedTo || !task.assignedTo.email || task.assignedTo.status !== 'approved') {
+      result.skipped++;
+      continue;
+    }
+
+    // In-app once; retries of a failed email do not repeat it
+    if (task.reminderAttempts === 1) {
+      await notifyTaskDue(task);
+    }
+    if (!result.emailConfigured) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const sent = await sendTaskReminder({
+        to: task.assignedTo.email,
+        name: task.assignedTo.name,
+        task,
+        lead: task.lead
+      });
+      if (sent) {
+        result.sent++;
+      } else {
+        result.skipped++;
+      }
+    } catch (err) {
+      console.error(`[Task reminders] Failed to send reminder for task ${task._id}:`, err.message || err);
+      await Task.updateOne({ _id: task._id }, { $unset: { reminderSentAt: 1 } });
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { sendDueTaskReminders, MAX_REMINDER_ATTEMPTS };
@@ -0,0 +1,156 @@
+/**
+ * Follow-up task helpers shared by the super admin and sub admin task routes
+ * and the sub admin dashboard.
+ */
+const Task = require('../models/Task');
+const { isEligibleAssignee } = require('./leadAssignment');
+const { logLeadActivity } = require('./leadActivity');
+
+const TASK_STATUSES = ['open', 'completed', 'cancelled'];
+const DUE_FILTERS = ['overdue', 'today', 'upcoming'];
+
+// Start and end of the current day (server time; UTC on Vercel)
+function getTodayBounds(now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+/**
+ * dueAt condition for a due filter: overdue = open and past due, today = due later today,
+ * upcoming = due after today.
+ */
+function dueCondition(due, now = new Date()) {
+  const { end } = getTodayBounds(now);
+  if (due === 'overdue') return { $lt: now };
+  if (due === 'today') return { $gte: now, $lt: end };
+  if (due === 'upcoming') return { $gte: end };
+  return null;
+}
+
+/**
+ * Build a Task filter from list query params within a scope (e.g. landing page access).
+ * @param {object} params - { status, due, lead }
+ * @param {object} scope - Conditions always applied
+ */
+function buildTaskQuery({ status, due, lead } = {}, scope = {}) {
+  const query = { ...scope };
+
+  if (status && TASK_STATUSES.includes(status)) {
+    query.status = status;
+  }
+
+  const dueAt = dueCondition(due);
+  if (dueAt) {
+    query.dueAt = dueAt;
+    query.status = 'open';
+  }
+
+  if (lead) {
+    query.lead = lead;
+  }
+
+  return query;
+}
+
+/**
+ * A task may be assigned to the user creating it or to a sub admin who can own the lead.
+ */
+async function canAssignTask(landingPageId, assigneeId, currentUserId) {
+  if (assigneeId.toString() === currentUserId.toString()) return true;
+  return isEligibleAssignee(landingPageId, assigneeId);
+}
+
+/**
+ * Apply an update body to a task. Moving the due date also moves a reminder that was
+ * tied to it; completing records who completed it and logs it on the lead timeline.
+ * @returns {Promise<{ error?: string }>}
+ */
+async function applyTaskUpdates(task, body, userId) {
+  if (body.assignedTo !== undefined && !(await canAssignTask(task.landingPage, body.assignedTo, userId))) {
+    return { error: 'Tasks can only be assigned to yourself or a sub admin with access to the landing page' };
+  }
+
+  const previousStatus = task.status;
+
+  for (const field of ['title', 'description', 'assignedTo']) {
+    if (body[field] !== undefined) {
+      task[field] = body[field];
+    }
+  }
+
+  if (body.dueAt !== undefined) {
+    if (body.remindAt === undefined && task.remindAt && task.remindAt.getTime() === task.dueAt.getTime()) {
+      task.remindAt = body.dueAt;
+    }
+    task.dueAt = body.dueAt;
+  }
+  if (body.remindAt !== undefined) {
+    task.remindAt = body.remindAt || task.dueAt;
+  }
+
+  if (body.status !== undefined && body.status !== previousStatus) {
+    task.status = body.status;
+    if (body.status === 'completed') {
+      task.completedAt = Date.now();
+      task.completedBy = userId;
+    } else {
+      task.completedAt = undefined;
+      task.completedBy = undefined;
+    }
+  }
+
+  await task.save();
+
+  if (task.status === 'completed' && previousStatus !== 'completed') {
+    await logLeadActivity({
+      lead: { _id: task.lead, landingPage: task.landingPage },
+      type: 'task',
+      content: `Completed task: ${task.title}`,
+      metadata: { task: task._id },
+      userId
+    });
+  }
+
+  return {};
+}
+
+/**
+ * Overdue and due-today open tasks assigned to a user.
+ * @returns {Promise<{ counts: { overdue: number, dueToday: number }, overdue: object[], dueToday: object[] }>}
+ */
+async function getDueTaskSummary(userId, { limit = 20 } = {}) {
+  const base = { assignedTo: userId, status: 'open' };
+  const overdueQuery = { ...base, dueAt: dueCondition('overdue') };
+  const todayQuery = { ...base, dueAt: dueCondition('today') };
+
+  const listTasks = (query) => Task.find(query)
+    .populate('lead', 'firstName lastName email phone status')
+    .populate('landingPage', 'name')
+    .sort({ dueAt: 1 })
+    .limit(limit);
+
+  const [overdueCount, dueTodayCount, overdue, dueToday] = await Promise.all([
+    Task.countDocuments(overdueQuery),
+    Task.countDocuments(todayQuery),
+    listTasks(overdueQuery),
+    listTasks(todayQuery)
+  ]);
+
+  return {
+    counts: { overdue: overdueCount, dueToday: dueTodayCount },
+    overdue,
+    dueToday
+  };
+}
+
+module.exports = {
+  TASK_STATUSES,
+  DUE_FILTERS,
+  buildTaskQuery,
+  canAssignTask,
+  applyTaskUpdates,
+  getDueTaskSummary
+};
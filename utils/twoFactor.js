@@ -0,0 +1,208 @@
+/**
+ * Two-factor authentication with time-based one-time passwords (TOTP, RFC 6238: SHA-1, 6 digits,
+ * 30-second steps) from any authenticator app, plus one-time recovery codes. Built on Node's
+ * crypto module only.
+ *
+ * TOTP secrets are stored encrypted (AES-256-GCM) with TWO_FACTOR_ENCRYPTION_KEY, which falls back
+ * to JWT_SECRET; changing it disables every enrolled authenticator. Recovery codes are stored as
+ * SHA-256 hashes. TWO_FACTOR_REQUIRED_ROLES (comma-separated, e.g. super_admin) makes 2FA
+ * mandatory for those roles.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step before or after are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateHotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * @returns {string} new base32 TOTP secret (160 bits)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * @param {string} secret - base32
+ * @param {number} [now] - ms timestamp
+ */
+function generateTotp(secret, now = Date.now()) {
+  return generateHotp(base32Decode(secret), getTimeStep(now));
+}
+
+/**
+ * Check a code against the steps around now.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {number} [opts.afterStep] - Only accept steps after this one (the last code used), so a code works once
+ * @param {number} [opts.now]
+ * @returns {number|null} matched time step
+ */
+function verifyTotp(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (step <= afterStep) continue;
+    const expected = generateHotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URL for authenticator apps (usually shown as a QR code).
+ */
+function buildOtpauthUrl(accountName, secret) {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Admin Panel';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function getEncryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+}
+
+/**
+ * @returns {string} `<iv>.<authTag>.<ciphertext>` (base64url)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+}
+
+/**
+ * @returns {string|null} base32 secret, or null when it cannot be decrypted (e.g. key changed)
+ */
+function decryptSecret(stored) {
+  if (!stored || typeof stored !== 'string') return null;
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part || '', 'base64url'));
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * @returns {{ codes: string[], hashes: string[] }} codes to show once, hashes to store
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function getRequiredRoles() {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether the policy makes 2FA mandatory for this user's role.
+ */
+function isTwoFactorRequired(user) {
+  return Boolean(user) && getRequiredRoles().includes(user.role);
+}
+
+function isTwoFactorEnabled(user) {
+  return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  isTwoFactorEnabled
+};
@@ -0,0 +1,349 @@
+/**
+ * Outbound webhooks for lead lifecycle events.
+ *
+ * Every active subscription matching an event (global, or for the lead's landing page) gets a
+ * WebhookDelivery record before anything is sent, so no event is lost when a request fails or
+ * the serverless function is frozen. The first attempt starts right away; failed attempts are
+ * retried with exponential backoff by `processDueDeliveries` (the `/api/cron/webhooks` endpoint
+ * or `scripts/deliverWebhooks.js`).
+ *
+ * Requests are signed: `X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ * using the subscription's secret.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { TRANSITION_FIELDS } = require('./pipeline');
+const { diffLeadChanges } = require('./leadActivity');
+
+const WEBHOOK_EVENTS = ['lead.created', 'lead.status_changed', 'lead.updated', 'lead.deleted'];
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = 6;
+// Retries wait 1, 2, 4, 8 and 16 minutes
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// An attempt still unfinished after this long (e.g. the function was frozen) is retried
+const ATTEMPT_LEASE_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+const DEFAULT_BATCH_SIZE = 50;
+
+// Lead fields included in event payloads
+const LEAD_PAYLOAD_FIELDS = [
+  'landingPage', 'firstName', 'lastName', 'email', 'phone', 'company', 'message', 'dynamicFields',
+  'status', 'statusChangedAt', 'lostReason', 'dealValue', 'currency', 'expectedCloseDate', 'probability',
+  'assignedTo', 'source', 'score', 'scoreBucket', 'isSpam', 'duplicateOf', 'lastContacted', 'createdAt', 'updatedAt'
+];
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function getRetryDelay(attempts) {
+  return BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+}
+
+function idOf(value) {
+  return value && value._id ? value._id : value;
+}
+
+/**
+ * Plain JSON view of a lead (document or plain object) for event payloads.
+ */
+function serializeLead(lead) {
+  const source = typeof lead.toObject === 'function' ? lead.toObject() : lead;
+  const data = { id: idOf(source._id) };
+
+  for (const field of LEAD_PAYLOAD_FIELDS) {
+    if (source[field] === undefined) continue;
+    if (field === 'dynamicFields' && source.dynamicFields instanceof Map) {
+      data.dynamicFields = Object.fromEntries(source.dynamicFields);
+    } else if (field === 'landingPage' || field === 'assignedTo') {
+      data[field] = idOf(source[field]);
+    } else {
+      data[field] = source[field];
+    }
+  }
+
+  return data;
+}
+
+function truncate(text) {
+  return text.length > MAX_RESPONSE_BODY_LENGTH ? `${text.slice(0, MAX_RESPONSE_BODY_LENGTH)}...` : text;
+}
+
+/**
+ * Send one attempt of a claimed delivery and record the outcome.
+ * @param {object} delivery - WebhookDelivery with `attempts` already counting this attempt
+ * @param {object} webhook - Webhook selected with `+secret`
+ * @returns {Promise<object>} updated delivery
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const entry = { attemptedAt: new Date(startedAt) };
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LeadManager-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: (data) => data,
+      validateStatus: () => true
+    });
+
+    entry.responseStatus = response.status;
+    entry.responseBody = truncate(response.data == null ? '' : String(response.data));
+    if (response.status < 200 || response.status >= 300) {
+      entry.error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (err) {
+    entry.error = err.message || String(err);
+  }
+  entry.durationMs = Date.now() - startedAt;
+
+  const update = {
+    $push: { history: entry },
+    lastAttemptAt: entry.attemptedAt,
+    responseStatus: entry.responseStatus,
+    lastError: entry.error || null
+  };
+
+  if (!entry.error) {
+    update.status = 'succeeded';
+    update.deliveredAt = new Date();
+    update.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS || delivery.event === TEST_EVENT) {
+    update.status = 'failed';
+    update.nextAttemptAt = null;
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+
+  const saved = await WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { lastDeliveryAt: entry.attemptedAt, lastDeliveryStatus: entry.error ? 'failed' : 'succeeded' }
+  );
+
+  return saved;
+}
+
+/**
+ * Claim a due delivery and attempt it. Returns null when another worker claimed it first.
+ * @param {string|object} deliveryId
+ * @returns {Promise<object|null>} updated delivery
+ */
+async function runDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+      attempts: { $lt: MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 }, nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || (!webhook.isActive && delivery.event !== TEST_EVENT)) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      status: 'failed',
+      nextAttemptAt: null,
+      lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+    }, { new: true });
+  }
+
+  return attemptDelivery(delivery, webhook);
+}
+
+function startDeliveries(deliveries) {
+  for (const delivery of deliveries) {
+    runDelivery(delivery._id).catch((err) => {
+      console.error(`[Webhooks] Delivery ${delivery._id} failed:`, err.message || err);
+    });
+  }
+}
+
+/**
+ * Queue an event for one webhook.
+ * @returns {Promise<object>} WebhookDelivery
+ */
+async function createDelivery(webhook, event, data) {
+  const _id = new mongoose.Types.ObjectId();
+  const payload = {
+    id: _id.toString(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  return WebhookDelivery.create({
+    _id,
+    webhook: webhook._id,
+    event,
+    // Stored as plain JSON so every retry sends the same body
+    payload: JSON.parse(JSON.stringify(payload))
+  });
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it and start sending.
+ * Never throws: webhook failures must not fail the request that triggered the event.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event payload `data`
+ * @param {{ landingPage?: string }} [opts] - Landing page the event belongs to
+ * @returns {Promise<object[]>} queued deliveries
+ */
+async function dispatchWebhookEvent(event, data, { landingPage } = {}) {
+  try {
+    const scopes = [{ landingPage: null }];
+    if (landingPage) {
+      scopes.push({ landingPage: idOf(landingPage) });
+    }
+
+    const webhooks = await Webhook.find({ isActive: true, events: event, $or: scopes });
+    if (webhooks.length === 0) return [];
+
+    const deliveries = await Promise.all(webhooks.map((webhook) => createDelivery(webhook, event, data)));
+    startDeliveries(deliveries);
+    return deliveries;
+  } catch (err) {
+    console.error(`[Webhooks] Failed to queue ${event}:`, err.message || err);
+    return [];
+  }
+}
+
+/**
+ * @param {string} event - lead.created, lead.status_changed, lead.updated or lead.deleted
+ * @param {object} lead - Lead document or plain object
+ * @param {object} [extra] - Additional `data` fields
+ */
+function emitLeadEvent(event, lead, extra = {}) {
+  return dispatchWebhookEvent(event, { lead: serializeLead(lead), ...extra }, { landingPage: lead.landingPage });
+}
+
+/**
+ * Emit `lead.status_changed` and/or `lead.updated` for the tracked fields an update changed.
+ * Fields written together with a status change (e.g. lostReason) belong to the status event.
+ * @param {object} lead - Lead before the update
+ * @param {object} updates - Fields written
+ */
+async function emitLeadChangeEvents(lead, updates) {
+  const changes = diffLeadChanges(lead, updates);
+  const current = { ...(typeof lead.toObject === 'function' ? lead.toObject() : lead), ...updates };
+  const statusChange = changes.find((change) => change.field === 'status');
+
+  if (statusChange) {
+    await emitLeadEvent('lead.status_changed', current, {
+      from: statusChange.from,
+      to: statusChange.to,
+      changes: changes.filter((change) => change.field === 'status' || TRANSITION_FIELDS.includes(change.field))
+    });
+  }
+
+  const otherChanges = changes.filter((change) => (
+    change.field !== 'status' && !(statusChange && TRANSITION_FIELDS.includes(change.field))
+  ));
+  if (otherChanges.length > 0) {
+    await emitLeadEvent('lead.updated', current, { changes: otherChanges });
+  }
+}
+
+/**
+ * Send a `webhook.test` event to one webhook and wait for the result (test events are not retried).
+ * @returns {Promise<object>} delivery after the attempt
+ */
+async function sendTestEvent(webhook, userId) {
+  const delivery = await createDelivery(webhook, TEST_EVENT, {
+    message: 'This is a test event',
+    webhook: { id: webhook._id, name: webhook.name },
+    triggeredBy: userId
+  });
+  return (await runDelivery(delivery._id)) || delivery;
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed (and attempts abandoned mid-flight).
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - Maximum deliveries per run
+ * @returns {Promise<{ attempted: number, succeeded: number, failed: number, retrying: number }>}
+ */
+async function processDueDeliveries({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const now = new Date();
+
+  // Last attempt never finished
+  await WebhookDelivery.updateMany(
+    { status: 'pending', attempts: { $gte: MAX_ATTEMPTS }, nextAttemptAt: { $lte: now } },
+    { status: 'failed', nextAttemptAt: null, lastError: 'Delivery attempt did not complete' }
+  );
+
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  const result = { attempted: 0, succeeded: 0, failed: 0, retrying: 0 };
+  for (const { _id } of due) {
+    const delivery = await runDelivery(_id);
+    if (!delivery) continue;
+
+    result.attempted++;
+    if (delivery.status === 'succeeded') {
+      result.succeeded++;
+    } else if (delivery.status === 'failed') {
+      result.failed++;
+    } else {
+      result.retrying++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Queue a delivery again (e.g. after fixing the receiving endpoint) and start sending.
+ * @returns {Promise<object>} the new delivery
+ */
+async function redeliver(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook);
+  if (!webhook) return null;
+
+  const copy = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: delivery.event,
+    payload: delivery.payload
+  });
+  return (await runDelivery(copy._id)) || copy;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  serializeLead,
+  dispatchWebhookEvent,
+  emitLeadEvent,
+  emitLeadChangeEvents,
+  sendTestEvent,
+  processDueDeliveries,
+  redeliver
+};
@@ -4,8 +4,11 @@
  * If not configured, sends are skipped.
  *
  * TWILIO_WHATSAPP_FROM example: whatsapp:+14155238886 (sandbox or approved sender)
- * LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE: digits only, e.g. 91 for India (no +)
+ * LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE: digits only, e.g. 91 for India (no +); landing pages can override it
+ * TWILIO_STATUS_CALLBACK_URL: public URL of POST /api/leads/whatsapp-status for delivery updates (optional)
+ * Numbers on the suppression list (utils/suppression.js) are never messaged.
  */
+const { isSuppressed } = require('./suppression');
 
 function normalizeWhatsAppTo({ raw, defaultCountryCode }) {
   if (!raw || typeof raw !== 'string') return null;
@@ -27,35 +30,63 @@ function normalizeWhatsAppTo({ raw, defaultCountryCode }) {
   return `+${digitsOnly}`;
 }
 
-async function sendLeadWhatsAppAutoReply({ to, name, landingPageName }) {
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const from = process.env.TWILIO_WHATSAPP_FROM;
+function isWhatsAppConfigured() {
+  return Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_FROM);
+}
 
-  if (!accountSid || !authToken || !from || !to) {
-    return;
+/**
+ * Send a rendered WhatsApp auto-reply (see utils/autoReplyTemplates.js).
+ * Twilio errors are thrown so the job is retried.
+ * @param {Object} opts
+ * @param {string} opts.to - Phone number as submitted
+ * @param {string} opts.body
+ * @param {string} [opts.defaultCountryCode] - Digits only; defaults to LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE
+ * @returns {Promise<{ sid: string, status: string, to: string }|{ skipped: string, to?: string }>}
+ */
+async function sendLeadWhatsAppAutoReply({ to, body, defaultCountryCode }) {
+  if (!isWhatsAppConfigured()) {
+    return { skipped: 'WhatsApp is not configured' };
+  }
+  if (!to || !body) {
+    return { skipped: 'No phone number or message' };
   }
 
   const twilio = require('twilio');
-  const defaultCc = (process.env.LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '') || undefined;
+  const defaultCc = (defaultCountryCode || process.env.LEAD_WHATSAPP_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '') || undefined;
   const e164 = normalizeWhatsAppTo({ raw: to, defaultCountryCode: defaultCc });
   if (!e164) {
     console.warn('WhatsApp auto-reply: could not normalize phone:', to);
-    return;
+    return { skipped: 'Phone number could not be normalized' };
+  }
+  if (await isSuppressed('phone', e164)) {
+    return { skipped: 'Recipient opted out', to: e164 };
   }
 
-  const client = twilio(accountSid, authToken);
-  const displayName = name || 'there';
-  const pageText = landingPageName ? ` about ${landingPageName}` : '';
-  const body =
-    `Hi ${displayName}, thanks for contacting us${pageText}. ` +
-    `We have received your details and will get back to you shortly.`;
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
-  await client.messages.create({
-    from,
+  const message = await client.messages.create({
+    from: process.env.TWILIO_WHATSAPP_FROM,
     to: `whatsapp:${e164}`,
     body,
+    ...(process.env.TWILIO_STATUS_CALLBACK_URL ? { statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL } : {}),
   });
+
+  return { sid: message.sid, status: message.status, to: e164 };
+}
+
+/**
+ * Check the X-Twilio-Signature of a status callback posted to TWILIO_STATUS_CALLBACK_URL.
+ */
+function isValidTwilioCallback(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const url = process.env.TWILIO_STATUS_CALLBACK_URL;
+  const signature = req.get('X-Twilio-Signature');
+  if (!authToken || !url || !signature) {
+    return false;
+  }
+
+  const twilio = require('twilio');
+  return twilio.validateRequest(authToken, signature, url, req.body || {});
 }
 
-module.exports = { sendLeadWhatsAppAutoReply, normalizeWhatsAppTo };
+module.exports = { sendLeadWhatsAppAutoReply, normalizeWhatsAppTo, isWhatsAppConfigured, isValidTwilioCallback };